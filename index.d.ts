@@ -14,11 +14,213 @@ export interface InitOptions {
   /** The application ID */
   appId: number;
   /** Optional callback function when config is loaded */
-  callback?: () => void;
+  callback?: (changes: ChangeSet) => void;
   /** Required storage object for caching (e.g., localStorage, AsyncStorage) */
   storage?: Storage;
+  /** Optional storage key, needed when several clients share the same storage */
+  storageKey?: string;
   /** Optional environment object */
   environment: 'sandbox' | 'production';
+  /** Optional base URL of the Resync API, e.g. a proxy or a local stand-in */
+  apiUrl?: string;
+  /** Optional per-endpoint overrides, as a path or an absolute URL (`{appId}` and `{campaignId}` are substituted) */
+  endpoints?: Partial<Record<ResyncEndpoint, string>>;
+  /** Optional fetch-compatible function or transport object used for all network requests */
+  transport?: FetchLike | TransportObject;
+  /** Optional validation rules for config values, keyed by config key */
+  configSchema?: ConfigSchema;
+  /** Optional background refresh of the app configuration */
+  autoRefresh?: boolean | AutoRefreshOptions;
+  /** Optional realtime change notifications over SSE or WebSocket */
+  realtime?: boolean | RealtimeOptions;
+  /** Optional bundled app data, served until the first fetch succeeds */
+  bootstrap?: Partial<AppConfig>;
+  /** Optional QA variant overrides, content view id or variant id keyed by campaign name */
+  overrides?: Record<string, number | string>;
+  /** Optional, allows variant overrides outside the sandbox environment */
+  allowOverrides?: boolean;
+  /** Optional, logs exposures on getVariant, false when not set */
+  autoExposure?: boolean;
+  /** Optional form validation messages by rule, replacing the default ones, e.g. in the user's language */
+  validationMessages?: ValidationMessages;
+}
+
+/**
+ * Options for receiving change notifications in real time
+ */
+export interface RealtimeOptions {
+  /** Connection type, defaults to 'sse' */
+  type?: 'sse' | 'websocket';
+  /** Stream URL, defaults to the STREAM endpoint */
+  url?: string;
+  /** EventSource implementation, defaults to the global one */
+  EventSource?: new (url: string) => any;
+  /** WebSocket implementation, defaults to the global one */
+  WebSocket?: new (url: string) => any;
+  /** Maximum delay between reconnection attempts in milliseconds */
+  maxBackoff?: number;
+  /** Returns a short-lived stream token, sent instead of the API key on each connection */
+  getToken?: () => string | Promise<string>;
+}
+
+/**
+ * Options for refreshing the app configuration in the background
+ */
+export interface AutoRefreshOptions {
+  /** Polling interval in milliseconds, defaults to the cache TTL (at least 1 minute) */
+  interval?: number;
+  /** Refresh stale data when the app comes to the foreground, defaults to true */
+  refreshOnForeground?: boolean;
+  /** React Native AppState, used to detect the app coming to the foreground */
+  appState?: {
+    addEventListener(type: 'change', listener: (state: string) => void): { remove(): void } | void;
+    removeEventListener?(type: 'change', listener: (state: string) => void): void;
+  };
+  /** Maximum delay between retries after failed refreshes in milliseconds */
+  maxBackoff?: number;
+}
+
+/**
+ * Validation rule for a config value, used by the typed config getters
+ */
+export interface ConfigSchemaRule {
+  /** Expected type of the value */
+  type?: 'boolean' | 'number' | 'string' | 'json';
+  /** Allowed values */
+  enum?: Array<string | number | boolean>;
+  /** Minimum value for numbers */
+  min?: number;
+  /** Maximum value for numbers */
+  max?: number;
+  /** Whether a number must be an integer */
+  integer?: boolean;
+  /** Minimum length for strings */
+  minLength?: number;
+  /** Maximum length for strings */
+  maxLength?: number;
+  /** Regular expression strings must match */
+  pattern?: string;
+  /** Custom validation function */
+  validate?: (value: any) => boolean;
+}
+
+/**
+ * Config schema keyed by config key
+ */
+export type ConfigSchema = Record<string, ConfigSchemaRule>;
+
+/**
+ * Request sent by Resync through a custom transport
+ */
+export interface TransportRequest {
+  /** Endpoint URL */
+  url: string;
+  /** HTTP method */
+  method: string;
+  /** Request headers, including the API key */
+  headers: Record<string, string>;
+  /** JSON encoded request body */
+  body?: string;
+}
+
+/**
+ * Fetch-compatible function
+ */
+export type FetchLike = (
+  url: string,
+  init: Omit<TransportRequest, 'url'>
+) => Promise<{ ok: boolean; status: number; statusText?: string; json(): Promise<any> }>;
+
+/**
+ * Custom transport object, e.g. an in-memory transport for tests
+ */
+export interface TransportObject {
+  request(request: TransportRequest): Promise<{ status: number; statusText?: string; data?: any }>;
+}
+
+/**
+ * Names of the Resync API endpoints that can be overridden
+ */
+export type ResyncEndpoint =
+  | 'APP_DATA'
+  | 'USER_VARIANTS'
+  | 'SYSTEM_VARIANT'
+  | 'GET_ROUND_ROBIN_VARIANT'
+  | 'LOG_EXPERIMENT'
+  | 'LOG_EXPERIMENT_BATCH'
+  | 'LOG_CAMPAIGN_EVENT'
+  | 'LOG_CAMPAIGN_EVENT_BATCH'
+  | 'LOG_CONTENT_EVENTS'
+  | 'LOG_EVENTS_BATCH'
+  | 'SUBMIT_FORM'
+  | 'CUSTOMER'
+  | 'STREAM';
+
+/**
+ * Load status of a Resync client
+ */
+export interface ResyncStatus {
+  /** Whether the client is ready */
+  ready: boolean;
+  /** Whether data is being loaded */
+  isLoading: boolean;
+  /** Whether the app configuration failed to load */
+  loadFailed: boolean;
+}
+
+/**
+ * Change set passed to subscribers after a load
+ */
+export interface ChangeSet {
+  /** Keys of the configs that were added, changed or removed */
+  configs: string[];
+  /** Names of the content views that were added, changed or removed */
+  content: string[];
+  /** Names of the campaigns that were added, changed or removed */
+  campaigns: string[];
+  /** Whether anything changed */
+  hasChanges: boolean;
+}
+
+/**
+ * Form validation rule that a field value can break
+ */
+export type ValidationRule =
+  | 'required'
+  | 'option'
+  | 'email'
+  | 'url'
+  | 'number'
+  | 'minLength'
+  | 'maxLength'
+  | 'min'
+  | 'max'
+  | 'step'
+  | 'pattern';
+
+/**
+ * Form validation messages by rule. {placeholders} such as {label}, {minLength} or {max} are replaced with the field settings
+ */
+export type ValidationMessages = Partial<Record<ValidationRule, string | ((field: Record<string, any>) => string)>>;
+
+/**
+ * Validation error of a form field
+ */
+export interface FieldValidationError {
+  /** The first rule the value breaks */
+  rule: ValidationRule;
+  /** The message of the rule */
+  message: string;
+}
+
+/**
+ * Result of a form validation
+ */
+export interface FormValidationResult {
+  /** Whether the form data is valid */
+  valid: boolean;
+  /** The errors keyed by field name */
+  errors: Record<string, FieldValidationError>;
 }
 
 /**
@@ -55,15 +257,126 @@ export interface Campaign {
   type: 'system' | 'custom';
   /** Array of possible variants */
   variants: CampaignVariant[];
+  /** Salt of the user hash, the campaign id when not set */
+  salt?: string;
+  /** Experiment layer, users enter at most one campaign per layer */
+  layer?: string;
+  /** Share of the layer (0-100) the campaign receives, an even split when not set */
+  layerRange?: { start: number; end: number };
+  /** Whether anonymous assignments carry over on login, 'sticky' when not set */
+  loginBehavior?: 'sticky' | 'rebucket';
+  /** Id of the winning variant, once one was picked */
+  winningVariantId?: string;
+  /** Content view id of the winning variant, once one was picked */
+  winningContentId?: number;
   /** System function ID for variant assignment */
   systemFunctionId?: string;
-  /** Rollout percentage for the campaign */
+  /** Percentage of users (0-100) in the rollout, everyone when not set */
   rolloutPercent?: number;
+  /** Assignment strategy, 'weighted-rollout' when not set */
+  abTestType?: string;
+  /** How often time-based campaigns switch variant in milliseconds, one day when not set */
+  rotationInterval?: number;
+  /** Share of offline bandit pulls exploring a random arm, 0.1 when not set */
+  epsilon?: number;
+  /** Bandit arm stats, used to pick an arm when the backend can't be reached */
+  armStats?: ArmStats[];
   /** Date settings for time-based campaigns */
   dateSettings?: {
-    startDate: string;
-    endDate: string;
+    /** ISO date the campaign starts at */
+    startDate?: string;
+    /** ISO date the campaign ends at, date-only end dates include their whole day */
+    endDate?: string;
+    /** IANA time zone of dates without an offset, UTC when not set */
+    timezone?: string;
   };
+  /** The audience the campaign targets, everyone when not set */
+  audience?: AudienceRule;
+}
+
+/**
+ * Stats of a bandit campaign arm
+ */
+export interface ArmStats {
+  /** Variant id of the arm */
+  variantId?: string;
+  /** Content view id of the arm */
+  contentViewId?: number;
+  /** Number of pulls */
+  impressions: number;
+  /** Number of rewarded pulls */
+  conversions: number;
+}
+
+/**
+ * The context assignment strategies are called with
+ */
+export interface AssignmentContext {
+  /** The user id, or the session id for anonymous users */
+  userId: string;
+  /** The session id */
+  sessionId: string | null;
+  /** The user's targeting attributes */
+  attributes: Record<string, any>;
+  /** The current time in milliseconds, corrected by the server clock */
+  now: number;
+}
+
+/**
+ * Assigns a variant to the user. Return a content view id, or
+ * { contentViewId, persist: false } to serve a variant without storing it as the user's assignment
+ */
+export type AssignmentStrategy = (
+  campaign: Campaign,
+  context: AssignmentContext
+) =>
+  | VariantResult
+  | Promise<VariantResult>;
+
+/**
+ * A content view id, a variant, or a variant reference with persist false
+ * to serve the variant without storing it as the user's assignment
+ */
+export type VariantResult =
+  | number
+  | null
+  | CampaignVariant
+  | { variantId?: string; contentViewId?: number | null; persist?: boolean };
+
+/**
+ * A single audience condition
+ */
+export interface AudienceCondition {
+  /** Attribute name or dotted path (e.g. 'country' or 'attributes.plan') */
+  attribute: string;
+  /** Comparison operator */
+  operator: 'equals' | 'notEquals' | 'in' | 'notIn' | 'range' | 'regex' | 'semver' | 'exists';
+  /** Value to compare against, an array for in/notIn, { min, max } for range, a version range for semver */
+  value?: any;
+}
+
+/**
+ * An audience rule, either a condition or an AND/OR group of rules
+ */
+export type AudienceRule =
+  | AudienceCondition
+  | { and: AudienceRule[] }
+  | { or: AudienceRule[] };
+
+/**
+ * Options for recording a campaign conversion
+ */
+export interface ConversionOptions {
+  /** Unique conversion identifier (e.g. an order id). Conversions without one are recorded once per campaign */
+  conversionId?: string;
+  /** Conversion value */
+  value?: number;
+  /** Revenue generated by the conversion */
+  revenue?: number;
+  /** Currency of the revenue */
+  currency?: string;
+  /** Additional metadata for the conversion */
+  metadata?: Record<string, any>;
 }
 
 /**
@@ -74,11 +387,13 @@ export interface CampaignVariant {
   id: string;
   /** Name of the variant */
   name: string;
-  /** Value of the variant */
-  value: string;
+  /** Payload of the variant */
+  value: any;
   /** Weight/percentage for this variant */
   weight: number;
-  /** Whether this is the default variant */
+  /** Content view shown for this variant */
+  contentViewId?: number | null;
+  /** Whether this is the default (control) variant */
   default?: boolean;
 }
 
@@ -347,7 +662,21 @@ export type FormProperty = {
   options?: Array<{ value: string; label: string; disabled?: boolean }>;
   rows?: number;
   cols?: number;
-  validationRules?: Record<string, any>;
+  /** Rules that take precedence over the field settings, with messages for this field */
+  validationRules?: {
+    required?: boolean;
+    minLength?: number;
+    maxLength?: number;
+    min?: number;
+    max?: number;
+    step?: number;
+    pattern?: string;
+    /** Message of every rule of this field */
+    message?: string;
+    /** Messages by rule of this field */
+    messages?: ValidationMessages;
+    [key: string]: any;
+  };
 
   labelStyle?: Record<string, any>;
   status: FormStatus;
@@ -395,6 +724,26 @@ export interface ContentItem {
   environment?: 'sandbox' | 'production'; // Item environment
 }
 
+/**
+ * Content item resolved in its content view tree
+ */
+export interface ContentNode extends ContentItem {
+  /** Visible child items, ordered by their order */
+  children: ContentNode[];
+}
+
+/**
+ * Content view with its items resolved into a tree
+ */
+export interface ContentViewTree extends Omit<ContentView, 'contents'> {
+  /** Visible top level items, ordered by their order */
+  children: ContentNode[];
+  /** Items left out of the tree because their parent is missing */
+  orphans: ContentItem[];
+  /** Items left out of the tree because their parents form a cycle */
+  cycles: ContentItem[];
+}
+
 /**
  * User variant assignment
  */
@@ -402,7 +751,11 @@ export interface CampaignAssignment {
   /** Campaign ID */
   campaignId: number;
   /** Content view ID */
-  contentViewId: number;
+  contentViewId: number | null;
+  /** Variant ID */
+  variantId?: string | null;
+  /** Session ID the assignment was bucketed with, for assignments carried over on login */
+  bucketingId?: string;
 }
 
 /**
@@ -422,6 +775,73 @@ export interface AppEvent {
   scope: 'generic' | 'content_view' | 'content_item' | 'campaign';
 }
 
+/**
+ * Handlers of the content view renderers, usually bound to a Resync client
+ */
+export interface RendererHandlers {
+  /** Logs the events of viewed, clicked and submitted items */
+  logEvent?: (event: { eventId: string; logId?: string | null; metadata?: Record<string, any> | null }) => void;
+  /** Submits the forms */
+  submitForm?: (formData: { contentViewId: number; data: Record<string, any> }) => Promise<boolean | Error>;
+  /** Runs the click actions, links open in a new tab and shares use the Web Share API when not set */
+  onAction?: (action: ClickAction, item: ContentItem) => void;
+  /** Called after a form is submitted, with whether it succeeded and its values */
+  onSubmit?: (submitted: boolean, data: Record<string, any>, item: ContentItem) => void;
+  /** Creates the element of icons, a span with a data-icon attribute when not set */
+  renderIcon?: (icon: NonNullable<ElementProperty['icon']>, item: ContentItem) => HTMLElement;
+}
+
+/**
+ * Options of the HTML renderer
+ */
+export interface HtmlRenderOptions {
+  /** Whether styles are inline style attributes or classes in a style element, defaults to 'inline' */
+  styleMode?: 'inline' | 'class';
+  /** Prefix of the style classes in class mode, defaults to 'resync-style-' */
+  classPrefix?: string;
+  /** Whether to add the data attributes hydrateContentView matches items with, defaults to false */
+  hydrate?: boolean;
+  /** Returns the markup of icons, inserted in their span */
+  renderIcon?: (icon: NonNullable<ElementProperty['icon']>, item: ContentItem) => string;
+}
+
+/**
+ * Render a content view into a DOM container, replacing its children
+ * @param view - The content view, as returned by getContent or getContentView
+ * @param container - The element to render the content view in
+ * @param handlers - The handlers, usually bound to a Resync client
+ * @returns A function that removes the rendered content view
+ */
+export function renderContentView(
+  view: ContentView | ContentViewTree,
+  container: HTMLElement,
+  handlers?: RendererHandlers
+): () => void;
+
+/**
+ * Attach the handlers to a content view rendered on the server in hydrate mode, without rendering it again
+ * @param view - The content view the markup was rendered from
+ * @param container - The element containing the server rendered markup
+ * @param handlers - The handlers, usually bound to a Resync client
+ * @returns A function that removes the content view
+ */
+export function hydrateContentView(
+  view: ContentView | ContentViewTree,
+  container: HTMLElement,
+  handlers?: RendererHandlers
+): () => void;
+
+/**
+ * Render a content view to an HTML string, without a DOM
+ * @param view - The content view, as returned by getContent or getContentView
+ * @param options - The render options
+ * @returns The rendered HTML, the same for the same view and options
+ */
+export function renderContentViewToString(
+  view: ContentView | ContentViewTree,
+  options?: HtmlRenderOptions
+): string;
+
 // ============================================================================
 // MAIN CLASS DECLARATIONS
 // ============================================================================
@@ -486,7 +906,56 @@ declare class ResyncAPI {
    * @param campaignName - The campaign name
    * @returns Promise that resolves to the variant content view id or null
    */
-  getVariant(campaignName: string): Promise<number | null>;
+  getVariant(campaignName: string, options?: { full?: false }): Promise<number | null>;
+
+  /**
+   * Get the full variant for a campaign
+   * @param campaignName - The campaign name
+   * @param options - Set full to get the whole variant
+   * @returns Promise that resolves to the variant or null
+   */
+  getVariant(campaignName: string, options: { full: true }): Promise<CampaignVariant | null>;
+
+  /**
+   * Check whether a feature flag is enabled for the current user
+   * @param flagName - The feature flag name
+   * @returns True if the flag is enabled, false if it is not or does not exist
+   */
+  isFeatureEnabled(flagName: string): boolean | Promise<boolean>;
+
+  /**
+   * Register an assignment strategy for campaigns with the given abTestType
+   * @param type - The abTestType the strategy handles
+   * @param strategy - The assignment function
+   */
+  registerAssignmentStrategy(type: string, strategy: AssignmentStrategy): void;
+
+  /**
+   * Force the variant of a campaign for QA, sandbox only unless allowOverrides is set
+   * @param campaignName - The campaign name
+   * @param variant - The content view id, or the variant id, to show
+   * @returns True if the override was set, false if overrides are not allowed
+   */
+  setVariantOverride(campaignName: string, variant: number | string): boolean;
+
+  /**
+   * Log that the user was exposed to the variant of a campaign, once per variant, session and user
+   * @param campaignName - The campaign name
+   * @returns True if the exposure was logged, false if it was skipped or already logged
+   */
+  trackExposure(campaignName: string): Promise<boolean>;
+
+  /**
+   * Apply the variant overrides of a deep link or URL (resync_override=<campaignName>:<variant>)
+   * @param url - The URL or deep link
+   * @returns True if the overrides were set, false if overrides are not allowed
+   */
+  setOverridesFromUrl(url: string): boolean;
+
+  /**
+   * Remove all variant overrides
+   */
+  clearOverrides(): void;
 
   /**
    * Get a configuration value by key
@@ -495,12 +964,39 @@ declare class ResyncAPI {
    */
   getConfig(key: string): any | null;
 
+  /**
+   * Get a boolean configuration value, falling back to the default before the first load and when missing or invalid
+   */
+  getBoolean(key: string, defaultValue: boolean): boolean;
+
+  /**
+   * Get a number configuration value, falling back to the default before the first load and when missing or invalid
+   */
+  getNumber(key: string, defaultValue: number): number;
+
+  /**
+   * Get a string configuration value, falling back to the default before the first load and when missing or invalid
+   */
+  getString(key: string, defaultValue: string): string;
+
+  /**
+   * Get a JSON (object or array) configuration value, falling back to the default before the first load and when missing or invalid
+   */
+  getJSON<T extends object = Record<string, any>>(key: string, defaultValue: T): T;
+
   /**
    * Get content blocks
    * @returns Array of content blocks
    */
   getContent(): ContentView[] | null;
 
+  /**
+   * Get a content view as an ordered tree of its visible items
+   * @param nameOrId - The content view name or id
+   * @returns The content view with its resolved tree
+   */
+  getContentView(nameOrId: string | number): ContentViewTree | Promise<ContentViewTree>;
+
   /**
    * Log a content event
    * @param {{eventId: string, logId?: string, metadata?: Record<string, unknown>}} event - Content event parameters
@@ -508,39 +1004,98 @@ declare class ResyncAPI {
   logEvent(event: {eventId: string, logId?: string, metadata?: Record<string, unknown>}): void;
 
   /**
-   * Submit a form to the backend API.
+   * Validate form data against the field definitions of its content view
+   * @param contentViewId - The content view id of the form
+   * @param data - The form values keyed by field name
+   * @param options - Messages by rule for this validation
+   * @returns Whether the data is valid, and the errors keyed by field name
+   */
+  validateForm(
+    contentViewId: number,
+    data: Record<string, unknown>,
+    options?: { messages?: ValidationMessages }
+  ): FormValidationResult | Promise<FormValidationResult>;
+
+  /**
+   * Submit a form to the backend API. Invalid data is not submitted unless skipValidation is set.
    * @param {{contentViewId: number, data: Record<string, unknown>}} formData - Form data to submit.
-   * @returns {Promise<boolean | Error>} - Returns true if the form is submitted successfully, false otherwise.
+   * @param options - Set skipValidation to submit the data without validating it
+   * @returns {Promise<boolean | Error>} - Returns true if the form is submitted successfully, false otherwise or when the data is invalid.
    */
-  submitForm(formData: { contentViewId: number, data: Record<string, unknown> }): Promise<boolean | Error>;
+  submitForm(
+    formData: { contentViewId: number, data: Record<string, unknown> },
+    options?: { skipValidation?: boolean }
+  ): Promise<boolean | Error>;
 
   /**
    * Record a conversion for a campaign
    * @param campaignName - The campaign name
-   * @param metadata - Additional metadata for the conversion
+   * @param options - Conversion value, revenue and metadata
+   * @returns Promise that resolves to true if the conversion was logged, false if no variant was served or it was already recorded
    */
-  // recordConversion(campaignName: string, metadata?: object): any;
+  recordConversion(campaignName: string, options?: ConversionOptions): Promise<boolean>;
 
   /** Subscribers to configuration updates */
   subscribers: Set<Function>;
 
   /**
-   * Subscribe to configuration updates
+   * Subscribe to configuration updates.
+   * Called after the first load and after the user logs in or out, and otherwise only when something changed.
    */
-  subscribe(callback: () => void): void;
+  subscribe(callback: (changes: ChangeSet) => void): void;
 
   /**
    * Unsubscribe from configuration updates
    */
-  unsubscribe(callback: () => void): void;
+  unsubscribe(callback: (changes: ChangeSet) => void): void;
+
+  /**
+   * Subscribe to changes of a single configuration key
+   * @returns A function that removes the listener
+   */
+  onConfigChange(key: string, callback: (value: any, previousValue: any) => void): () => void;
+
+  /**
+   * Subscribe to changes of a single content view
+   * @returns A function that removes the listener
+   */
+  onContentChange(viewName: string, callback: (view: ContentView | null, previousView: ContentView | null) => void): () => void;
+
+  /**
+   * Subscribe to the load status, called whenever ready, isLoading or loadFailed change
+   * @returns A function that removes the listener
+   */
+  onStatusChange(callback: (status: ResyncStatus) => void): () => void;
+
+  /**
+   * Get the load status
+   */
+  getStatus(): ResyncStatus;
 
   /**
    * Logout the user and clear the cache
    * @returns Promise that resolves when the logout is complete
    */
   logout(): Promise<void>;
+
+  /**
+   * Stop the background timers of this client
+   */
+  destroy(): void;
 }
 
+/**
+ * Resync client class. Each instance has its own cache, config service, logger and campaign engine.
+ */
+export declare class Resync extends ResyncAPI {}
+
+/**
+ * Create a new, independent Resync client and initialize it
+ * @param options - Initialization options
+ * @returns Promise that resolves to the initialized client
+ */
+export function createResyncClient(options: InitOptions): Promise<Resync>;
+
 // Export the ResyncAPI instance as default (matches the actual JavaScript export)
 declare const instance: ResyncAPI;
 export default instance;
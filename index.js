@@ -5,5 +5,13 @@
 
 // Import the class and instance
 import { ResyncAPI } from './src/core/Resync.js';
-// Export the class as default
-export default ResyncAPI;
\ No newline at end of file
+
+// Export the factory for independent clients
+export { Resync, createResyncClient } from './src/core/Resync.js';
+
+// Export the browser and server renderers for content views
+export { renderContentView, hydrateContentView } from './src/renderers/dom.js';
+export { renderContentViewToString } from './src/renderers/html.js';
+
+// Export the instance as default
+export default ResyncAPI;
@@ -0,0 +1,60 @@
+// TypeScript declarations for the Resync React bindings
+
+import type { ReactElement, ReactNode } from 'react';
+import type { CampaignVariant, ContentViewTree, Resync, ResyncStatus } from './index';
+
+export type { ResyncStatus };
+
+/**
+ * Variant of a campaign, as returned by useVariant
+ */
+export interface VariantState<T> {
+  /** The variant, null while it is loading or when the campaign has no variants */
+  variant: T | null;
+  /** Whether the variant is loading */
+  isLoading: boolean;
+  /** The error of the last load, e.g. when the campaign does not exist */
+  error: Error | null;
+}
+
+/**
+ * Provide a Resync client to the hooks of its children. Hooks outside a provider use the default Resync instance
+ * @param props - The client, the default instance when not set, and the children
+ */
+export function ResyncProvider(props: { client?: Resync; children?: ReactNode }): ReactElement;
+
+/**
+ * Get the Resync client of the closest provider
+ * @returns The client, the default Resync instance outside a provider
+ */
+export function useResyncClient(): Resync;
+
+/**
+ * Get a configuration value, and re-render when it changes
+ * @param key - The configuration key
+ * @param defaultValue - The value returned until the client is loaded, and when the key is missing
+ * @returns The configuration value or the default value
+ */
+export function useConfig<T = any>(key: string, defaultValue?: T): T;
+
+/**
+ * Get the variant of a campaign for the current user, and update it when the campaign or the user changes
+ * @param campaignName - The campaign name
+ * @param options - Set full to get the whole variant instead of its content view id
+ * @returns The variant, whether it is loading and the error when it failed
+ */
+export function useVariant(campaignName: string, options?: { full?: false }): VariantState<number>;
+export function useVariant(campaignName: string, options: { full: true }): VariantState<CampaignVariant>;
+
+/**
+ * Get a content view as a tree, and re-render when it changes
+ * @param nameOrId - The content view name or id
+ * @returns The content view, null until the client is loaded and when the view does not exist
+ */
+export function useContentView(nameOrId: string | number): ContentViewTree | null;
+
+/**
+ * Get the load status of the client, updated whenever it notifies its subscribers
+ * @returns Whether the client is ready, loading, and whether its last load failed
+ */
+export function useResyncStatus(): ResyncStatus;
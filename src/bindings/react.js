@@ -0,0 +1,196 @@
+/**
+ * React bindings for Resync
+ * Provides a Resync client to a component tree and hooks that re-render when its data changes.
+ * The hooks are built on subscribe and unsubscribe, and work in React DOM and React Native.
+ */
+
+import { createContext, createElement, useContext, useEffect, useState } from "react";
+import { ResyncAPI } from "../core/Resync.js";
+
+// The default instance is used when no provider is rendered
+const ResyncContext = createContext(ResyncAPI);
+
+/**
+ * Subscribes to the change sets of a client.
+ * @param {Resync} client - The client
+ * @param {function(ChangeSet): void} callback - Called with the change set of each update
+ * @returns {function(): void} A function that unsubscribes the callback
+ */
+function subscribeToChanges(client, callback) {
+  client.subscribe(callback);
+  return () => {
+    // destroyed clients have already dropped their subscribers
+    if (client.subscribers.has(callback)) {
+      client.unsubscribe(callback);
+    }
+  };
+}
+
+/**
+ * Checks whether the data of a client can be read synchronously.
+ * Until then, the get methods of the client return promises.
+ * @param {Resync} client - The client
+ * @returns {boolean} True once the client is loaded
+ */
+function isLoaded(client) {
+  return client.ready && !client.isLoading;
+}
+
+/**
+ * Reads a configuration value of a client.
+ * @param {Resync} client - The client
+ * @param {string} key - The configuration key
+ * @returns {*} The configuration value, null when the client is not loaded or the key is missing
+ */
+function readConfig(client, key) {
+  if (!isLoaded(client)) {
+    return null;
+  }
+  return client.getConfig(key) ?? null;
+}
+
+/**
+ * Reads a content view of a client.
+ * @param {Resync} client - The client
+ * @param {string|number} nameOrId - The content view name or id
+ * @returns {ContentViewTree|null} The content view, null when the client is not loaded or the view does not exist
+ */
+function readContentView(client, nameOrId) {
+  if (!isLoaded(client)) {
+    return null;
+  }
+  try {
+    return client.getContentView(nameOrId);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Provides a Resync client to the hooks of its children.
+ * Hooks outside a provider use the default Resync instance.
+ * @param {{client?: Resync, children?: *}} props - The client, the default instance when not set, and the children
+ * @returns {*} The provider element
+ * @example
+ * const client = await createResyncClient({ key: 'your-api-key', appId: 7 });
+ * <ResyncProvider client={client}><App /></ResyncProvider>
+ */
+export function ResyncProvider({ client = ResyncAPI, children }) {
+  return createElement(ResyncContext.Provider, { value: client }, children);
+}
+
+/**
+ * Returns the Resync client of the closest provider.
+ * @returns {Resync} The client, the default Resync instance outside a provider
+ */
+export function useResyncClient() {
+  return useContext(ResyncContext);
+}
+
+/**
+ * Returns a configuration value, and re-renders when it changes.
+ * @param {string} key - The configuration key
+ * @param {*} [defaultValue] - The value returned until the client is loaded, and when the key is missing
+ * @returns {*} The configuration value or the default value
+ * @example
+ * const theme = useConfig('theme', 'light');
+ */
+export function useConfig(key, defaultValue = null) {
+  const client = useResyncClient();
+  const [value, setValue] = useState(() => readConfig(client, key));
+  useEffect(() => {
+    const update = () => setValue(readConfig(client, key));
+    // the client may have loaded between the render and the subscription
+    update();
+    return subscribeToChanges(client, (changes) => {
+      if (!changes.hasChanges || changes.configs.includes(key)) {
+        update();
+      }
+    });
+  }, [client, key]);
+  // the default is applied on render, so a new default is used right away
+  return value ?? defaultValue;
+}
+
+/**
+ * Returns the variant of a campaign for the current user, and updates it when the campaign or the user changes.
+ * Variants are resolved with getVariant, so they are exposed the same way.
+ * @param {string} campaignName - The campaign name
+ * @param {{full?: boolean}} [options] - Set full to get the whole variant instead of its content view id
+ * @returns {VariantState} The variant, whether it is loading and the error when it failed
+ * @example
+ * const { variant, isLoading } = useVariant('checkout_button_test');
+ */
+export function useVariant(campaignName, options = {}) {
+  const client = useResyncClient();
+  const full = !!options.full;
+  const [state, setState] = useState({ variant: null, isLoading: true, error: null });
+  useEffect(() => {
+    let isActive = true;
+    const load = () => {
+      Promise.resolve(client.getVariant(campaignName, { full }))
+        .then((variant) => isActive && setState({ variant, isLoading: false, error: null }))
+        .catch((error) => isActive && setState({ variant: null, isLoading: false, error }));
+    };
+    setState((current) => (current.isLoading ? current : { ...current, isLoading: true }));
+    load();
+    const unsubscribe = subscribeToChanges(client, (changes) => {
+      // updates without changes follow a login or logout, which can assign another variant
+      if (!changes.hasChanges || changes.campaigns.includes(campaignName)) {
+        load();
+      }
+    });
+    return () => {
+      isActive = false;
+      unsubscribe();
+    };
+  }, [client, campaignName, full]);
+  return state;
+}
+
+/**
+ * Returns a content view as a tree, and re-renders when it changes.
+ * @param {string|number} nameOrId - The content view name or id
+ * @returns {ContentViewTree|null} The content view, null until the client is loaded and when the view does not exist
+ * @example
+ * const view = useContentView('PromoAnnouncement');
+ */
+export function useContentView(nameOrId) {
+  const client = useResyncClient();
+  const [view, setView] = useState(() => readContentView(client, nameOrId));
+  useEffect(() => {
+    let current = readContentView(client, nameOrId);
+    setView(current);
+    return subscribeToChanges(client, (changes) => {
+      if (!changes.hasChanges || changes.content.includes(current?.name ?? nameOrId)) {
+        current = readContentView(client, nameOrId);
+        setView(current);
+      }
+    });
+  }, [client, nameOrId]);
+  return view;
+}
+
+/**
+ * Returns the load status of the client, updated whenever it changes, also when a reload starts or fails.
+ * @returns {ResyncStatus} Whether the client is ready, loading, and whether its last load failed
+ * @example
+ * const { ready, loadFailed } = useResyncStatus();
+ */
+export function useResyncStatus() {
+  const client = useResyncClient();
+  const [status, setStatus] = useState(() => client.getStatus());
+  useEffect(() => {
+    const update = (next) => {
+      setStatus((current) =>
+        current.ready === next.ready && current.isLoading === next.isLoading && current.loadFailed === next.loadFailed
+          ? current
+          : next
+      );
+    };
+    // the status may have changed between the render and the subscription
+    update(client.getStatus());
+    return client.onStatusChange(update);
+  }, [client]);
+  return status;
+}
@@ -6,11 +6,12 @@
 
 import { API_CONFIG, ERROR_MESSAGES, TIMING_CONFIG } from '../utils/constants.js';
 
-class ConfigService {
+export class ConfigService {
   constructor() {
     this.apiKey = null;
     this.appId = null;
     this.apiUrl = API_CONFIG.DEFAULT_URL;
+    this.endpoints = {};
     this.ttl = TIMING_CONFIG.DEFAULT_TTL;
     this.environment = 'production';
   }
@@ -40,9 +41,33 @@ class ConfigService {
   /**
    * Sets the API URL
    * @param {string} url - The API URL
+   * @throws {Error} If the URL is not a non-empty string
    */
   setApiUrl(url) {
-    this.apiUrl = url;
+    if (!url || typeof url !== 'string') {
+      throw new Error(ERROR_MESSAGES.API_URL_MUST_BE_STRING);
+    }
+    // endpoint paths are appended as `${apiUrl}${appId}/...`
+    this.apiUrl = url.endsWith('/') ? url : `${url}/`;
+  }
+
+  /**
+   * Sets per-endpoint overrides.
+   * An override is either a path that replaces the default endpoint path,
+   * or an absolute URL used as is, where `{appId}` and `{campaignId}` are substituted.
+   * @param {Partial<Record<keyof typeof API_CONFIG.ENDPOINTS, string>>} endpoints - The endpoint overrides
+   * @throws {Error} If an endpoint is unknown or an override is not a string
+   */
+  setEndpoints(endpoints) {
+    for (const [endpoint, override] of Object.entries(endpoints)) {
+      if (!(endpoint in API_CONFIG.ENDPOINTS)) {
+        throw new Error(ERROR_MESSAGES.UNKNOWN_ENDPOINT(endpoint));
+      }
+      if (!override || typeof override !== 'string') {
+        throw new Error(ERROR_MESSAGES.ENDPOINT_MUST_BE_STRING(endpoint));
+      }
+    }
+    this.endpoints = { ...endpoints };
   }
 
   /**
@@ -93,6 +118,27 @@ class ConfigService {
     return this.apiUrl;
   }
 
+  /**
+   * Gets the full URL of an endpoint, applying the API URL and endpoint overrides.
+   * @param {keyof typeof API_CONFIG.ENDPOINTS} endpoint - The endpoint name (e.g. 'APP_DATA')
+   * @param {{campaignId?: string|number}} [params] - Optional campaign id for campaign scoped endpoints
+   * @returns {string} The endpoint URL
+   * @example
+   * configService.getEndpointUrl('APP_DATA'); // https://api.getresync.com/v1/apps-external/7/app-data
+   */
+  getEndpointUrl(endpoint, { campaignId } = {}) {
+    this.validateConfig();
+    const override = this.endpoints[endpoint];
+    if (override && /^https?:\/\//i.test(override)) {
+      return override
+        .replace('{appId}', this.appId)
+        .replace('{campaignId}', campaignId !== undefined ? `${campaignId}` : '');
+    }
+    const path = override || API_CONFIG.ENDPOINTS[endpoint];
+    const campaignPath = campaignId !== undefined ? `/${campaignId}` : '';
+    return `${this.apiUrl}${this.appId}${campaignPath}${path}`;
+  }
+
   /**
    * Gets the TTL
    * @returns {number} The TTL in milliseconds
@@ -131,5 +177,4 @@ class ConfigService {
   }
 }
 
-// Export singleton instance
-export const configService = new ConfigService();
+export default ConfigService;
@@ -1,15 +1,30 @@
 import AbTest from "../services/AbTest.js";
 import ResyncCache from "./ResyncCache.js";
 import ConfigFetch from "../services/ConfigFetch.js";
-import { configService } from "./ConfigService.js";
+import ConfigService from "./ConfigService.js";
+import Transport from "../services/Transport.js";
+import ConfigRefresher from "../services/ConfigRefresher.js";
+import ConfigStream from "../services/ConfigStream.js";
 import {
   API_CONFIG,
+  CONFIG_VALUE_TYPES,
   ERROR_MESSAGES,
   STORAGE_CONFIG,
   TIMING_CONFIG,
 } from "../utils/constants.js";
 import AppLogger from "../services/AppLogger.js";
+import { resolveConfigValue, validateConfigSchema } from "../utils/configSchema.js";
+import { buildContentTree } from "../utils/contentTree.js";
+import { diffAppData } from "../utils/diff.js";
+import { parseOverrides } from "../utils/overrides.js";
+import { validateFormData } from "../utils/formValidation.js";
 
+// App data slices and the AppConfigResponse field each one is read from
+const APP_DATA_FIELDS = {
+  configs: "appConfig",
+  content: "content",
+  campaigns: "campaigns",
+};
 
 /**
  * Main Resync class.
@@ -31,13 +46,51 @@ import AppLogger from "../services/AppLogger.js";
  * // Get campaign variant
  * const variant = await Resync.getVariant('campaign-name', payload);
  */
-class Resync {
+export class Resync {
   /**
    * Creates a new Resync instance.
+   * Every instance owns its own cache, config service, logger and campaign engine,
+   * so several clients can run side by side in the same process.
    * @constructor
    * @throws {Error} If initialization fails
    */
-  constructor() {}
+  constructor() {
+    this.#configService = new ConfigService();
+    this.#cache = new ResyncCache();
+    this.#transport = new Transport({ configService: this.#configService });
+    const services = {
+      configService: this.#configService,
+      cache: this.#cache,
+      transport: this.#transport,
+    };
+    this.#configFetch = new ConfigFetch(services);
+    this.#abTest = new AbTest(services);
+    this.#appLogger = new AppLogger(services);
+  }
+
+  /** @type {ConfigService} */
+  #configService;
+
+  /** @type {ResyncCache} */
+  #cache;
+
+  /** @type {Transport} */
+  #transport;
+
+  /** @type {ConfigFetch} */
+  #configFetch;
+
+  /** @type {AbTest} */
+  #abTest;
+
+  /** @type {AppLogger} */
+  #appLogger;
+
+  /** @type {ConfigRefresher|null} */
+  #refresher = null;
+
+  /** @type {ConfigStream|null} */
+  #stream = null;
 
   /** @type {Array<{method: Function, args: Array, resolve: Function, reject: Function}>} */
   pendingOperations = [];
@@ -63,6 +116,21 @@ class Resync {
   /** @type {string|null} */
   #appId = null;
 
+  /** @type {ConfigSchema} */
+  #configSchema = {};
+
+  /**
+   * Bundled app data served until the first fetch succeeds.
+   * @type {AppConfigResponse|null}
+   */
+  #bootstrap = null;
+
+  /**
+   * Form validation messages by rule, replacing the default ones.
+   * @type {ValidationMessages}
+   */
+  #validationMessages = {};
+
   /** @type {string|null} */
   userId = null;
 
@@ -75,6 +143,33 @@ class Resync {
   /** @type {string|null} */
   attributes = null;
 
+  /** @type {Set<Function>} */
+  subscribers = new Set();
+
+  /** @type {Map<string, Set<Function>>} */
+  #configListeners = new Map();
+
+  /** @type {Map<string, Set<Function>>} */
+  #contentListeners = new Map();
+
+  /** @type {Set<Function>} */
+  #statusListeners = new Set();
+
+  /**
+   * App data as last delivered to subscribers, used to compute change sets.
+   * @type {AppDataSnapshot}
+   */
+  #appDataSnapshot = { configs: {}, content: [], campaigns: [] };
+
+  /** @type {boolean} */
+  #hasNotified = false;
+
+  /**
+   * Resolved content view trees by view id, for the content they were built from.
+   * @type {{content: ContentView[]|null, trees: Map<number, ContentViewTree>}}
+   */
+  #contentTrees = { content: null, trees: new Map() };
+
   /**
    * Initializes the Resync class.
    * Api key is required to use the Resync API.
@@ -82,6 +177,12 @@ class Resync {
    * @throws {Error} - Throws an error if the API key is not provided.
    * @throws {Error} - Throws an error if the callback is not a function.
    * @throws {Error} - Throws an error if the storage is not a valid Storage object.
+   * @throws {Error} - Throws an error if the API URL or an endpoint override is invalid.
+   * @throws {Error} - Throws an error if the transport is not a function or a transport object.
+   * @throws {Error} - Throws an error if the config schema is invalid.
+   * @throws {Error} - Throws an error if the auto refresh interval is not a positive number.
+   * @throws {Error} - Throws an error if the realtime connection type is unknown or not supported.
+   * @throws {Error} - Throws an error if the bootstrap data is not an object.
    * @description This method initializes the Resync class with the provided API key and optional parameters.
    * It sets the API key, time-to-live for the cache, and subscribes to updates if a callback is provided.
    * It also creates an instance of Resync if it does not already exist.
@@ -95,7 +196,7 @@ class Resync {
    *   environment: 'sandbox'
    * });
    */
-  async init({ key, appId, callback, storage, environment }) {
+  async init({ key, appId, callback, storage, storageKey, environment, apiUrl, endpoints, transport, configSchema, autoRefresh, realtime, bootstrap, overrides, allowOverrides, autoExposure, validationMessages }) {
     if (!key) {
       throw new Error(ERROR_MESSAGES.API_KEY_REQUIRED);
     }
@@ -115,20 +216,42 @@ class Resync {
     const ttl = environment === 'sandbox' ? TIMING_CONFIG.DEVELOPMENT_TTL : TIMING_CONFIG.DEFAULT_TTL;
 
     // Update configuration service
-    configService.setApiKey(key);
-    configService.setAppId(appId);
-    configService.setTtl(ttl);
-    configService.setEnvironment(environment);
+    this.#configService.setApiKey(key);
+    this.#configService.setAppId(appId);
+    this.#configService.setTtl(ttl);
+    this.#configService.setEnvironment(environment);
+    if (apiUrl) {
+      this.#configService.setApiUrl(apiUrl);
+    }
+    if (endpoints) {
+      this.#configService.setEndpoints(endpoints);
+    }
+    if (transport) {
+      this.#transport.setTransport(transport);
+    }
+    if (configSchema) {
+      validateConfigSchema(configSchema);
+      this.#configSchema = configSchema;
+    }
+    if (bootstrap !== undefined) {
+      if (!bootstrap || typeof bootstrap !== "object" || Array.isArray(bootstrap)) {
+        throw new Error(ERROR_MESSAGES.BOOTSTRAP_MUST_BE_OBJECT);
+      }
+      this.#bootstrap = bootstrap;
+    }
+    this.#abTest.allowOverrides = allowOverrides === true;
+    this.#abTest.autoExposure = autoExposure === true;
+    this.#validationMessages = validationMessages || {};
+    // overrides in the page URL win over the ones passed at init
+    this.#abTest.setOverrides({
+      ...overrides,
+      ...(typeof location !== "undefined" ? parseOverrides(location.href) : {}),
+    });
 
     this.#apiKey = key;
     this.#appId = `${appId}`;
     this.#ttl = ttl;
 
-    this.subscribers = new Set();
-
-    /**
-     * @type {Set<Function>}
-     */
     if (callback && typeof callback === "function") {
       this.subscribe(callback);
     }
@@ -141,14 +264,42 @@ class Resync {
         (method) => typeof storage[method] === "function"
       )
     ) {
-      await ResyncCache.init(storage);
+      await this.#cache.init(storage, storageKey);
+      // retry the events and campaign logs that were not sent before the app was closed
+      await Promise.all([
+        this.#appLogger.restoreLogs(),
+        this.#abTest.restoreLogs(),
+      ]);
     }
-    const cache = ResyncCache.getCache();
+    this.#seedBootstrap();
+    const cache = this.#cache.getCache();
     this.userId = cache?.userId || null;
 
     const sessionId = cache?.sessionId || `${Math.random().toString(36).substring(2, 15)}-${Date.now()}`;
     this.sessionId = sessionId;
 
+    if (autoRefresh) {
+      const refreshOptions = autoRefresh === true ? {} : autoRefresh;
+      this.#refresher?.stop();
+      this.#refresher = new ConfigRefresher({
+        interval: this.#ttl || TIMING_CONFIG.MIN_REFRESH_INTERVAL,
+        ...refreshOptions,
+        refresh: () => this.#loadAppConfig(true, { background: true }),
+      });
+      this.#refresher.start();
+    }
+
+    if (realtime) {
+      const realtimeOptions = realtime === true ? {} : realtime;
+      this.#stream?.disconnect();
+      this.#stream = new ConfigStream({
+        ...realtimeOptions,
+        configService: this.#configService,
+        onChange: (slices, data) => this.#refreshSlices(slices, data),
+      });
+      this.#stream.connect();
+    }
+
     // try to fetch data from api
     this.#loadAppConfig()
   }
@@ -167,10 +318,14 @@ class Resync {
     // This ensures fresh variant assignments for A/B tests
     this.userId = null;
     this.sessionId = `${Math.random().toString(36).substring(2, 15)}-${Date.now()}`;
-    this.isLoading = false;
-    await ResyncCache.clearCache();
+    this.#setStatus({ isLoading: false });
+    await this.#cache.clearCache();
+    this.#abTest.clearServedVariants();
+    this.#seedBootstrap();
     // Save the new sessionId AFTER clearing cache but BEFORE loading config
-    ResyncCache.saveKeyValue("sessionId", this.sessionId);
+    this.#cache.saveKeyValue("sessionId", this.sessionId);
+    // subscribers are notified of the new user even when the data is the same
+    this.#hasNotified = false;
     await this.#loadAppConfig(true);
   }
 
@@ -178,73 +333,134 @@ class Resync {
   /**
    * Fetches the app configuration from the Resync API.
    * This method retrieves the configuration settings for the Resync application.
-   * @returns {Promise<void>} - Returns a promise that resolves to the app configuration object.
+   * @param {boolean} [isReload] - Whether to skip serving a fresh cache
+   * @param {{background?: boolean}} [options] - Background loads keep serving the current data while revalidating
+   * @returns {Promise<boolean>} - Resolves to true if the configuration was fetched, false otherwise.
    * @throws {Error} - Throws an error if the API key is not set or if the request fails.
    */
-  async #loadAppConfig(isReload = false) {
+  async #loadAppConfig(isReload = false, { background = false } = {}) {
     if (!this.#apiKey) {
       throw new Error(ERROR_MESSAGES.API_KEY_NOT_SET);
     }
-    this.isLoading = true;
-    const cache = ResyncCache.getCache();
+    if (!background) {
+      this.#setStatus({ isLoading: true });
+    }
+    const cache = this.#cache.getCache();
 
-    ResyncCache.saveKeyValue("sessionId", this.sessionId);
-    ResyncCache.saveKeyValue("appId", this.#appId);
+    this.#cache.saveKeyValue("sessionId", this.sessionId);
+    this.#cache.saveKeyValue("appId", this.#appId);
 
     // check if appId is same as the appId in the cache
     // and if the last fetch timestamp is less than the ttl
-    if (
-      !isReload &&
+    // with auto refresh, a stale cache is served while it is revalidated
+    const hasFreshCache =
       cache?.appId && cache?.appId === this.#appId &&
       cache?.lastFetchTimestamp &&
-      Date.now() - new Date(cache.lastFetchTimestamp).getTime() <
-        this.#ttl
-    ) {
-      this.ready = true;
-      this.isLoading = false;
-      AbTest.setCampaigns(cache?.campaigns || []);
+      (this.#refresher ||
+        Date.now() - new Date(cache.lastFetchTimestamp).getTime() < this.#ttl);
+    // the bootstrap data is served right away until the first fetch succeeds
+    const hasBootstrap = this.#bootstrap && !cache?.lastFetchTimestamp;
+    if (!isReload && (hasFreshCache || hasBootstrap)) {
+      this.#setStatus({ ready: true, isLoading: false });
+      this.#abTest.setCampaigns(cache?.campaigns || []);
       this.#executePendingOperations();
       this.#notifySubscribers();
     }
 
     try {
-      const config = await ConfigFetch.fetchAppConfig();
+      const config = await this.#configFetch.fetchAppConfig();
       const lastFetchTimestamp = new Date().toISOString();
+      const status = { ready: true, isLoading: false };
   
       if (config) {
-        Promise.all([
-          ResyncCache.saveKeyValue("configs", config.appConfig || {}),
-          ResyncCache.saveKeyValue("content", config.content || []),
-          ResyncCache.saveKeyValue("campaigns", config.campaigns || []),
-          ResyncCache.saveKeyValue("campaignAssignments", config.campaignAssignments || {}),
-          ResyncCache.saveKeyValue("user", config.user || null),
-          ResyncCache.saveKeyValue("lastFetchTimestamp", lastFetchTimestamp),
-        ]);
-        if (config.campaigns) {
-          AbTest.setCampaigns(config.campaigns);
+        this.#saveAppData(config, Object.keys(APP_DATA_FIELDS));
+        this.#abTest.mergeAssignments(config.campaignAssignments);
+        this.#cache.saveKeyValue("user", config.user || null);
+        this.#cache.saveKeyValue("holdout", config.holdout || null);
+        this.#cache.saveKeyValue("lastFetchTimestamp", lastFetchTimestamp);
+        const serverTime = new Date(config.serverTime).getTime();
+        if (config.serverTime && Number.isFinite(serverTime)) {
+          // guards campaign schedules against a wrong device clock
+          this.#cache.saveKeyValue("clockOffset", serverTime - Date.now());
         }
-        this.loadFailed = false;
+        status.loadFailed = false;
       } else {
         // fallback to cache
         // only fail if content is not available in cache
         if (cache?.content?.length === 0) {
-          this.loadFailed =  true;
+          status.loadFailed = true;
         }
       }
-      this.ready = true;
-      this.isLoading = false;
+      this.#setStatus(status);
       this.#executePendingOperations();
       this.#notifySubscribers();
+      return !!config;
     } catch (error) {
-      this.ready = true;
-      this.isLoading = false;
+      const status = { ready: true, isLoading: false };
       // fallback to cache
       // only fail if content is not available in cache
       if (cache?.content?.length === 0) {
-        this.loadFailed =  true;
+        status.loadFailed = true;
       }
+      this.#setStatus(status);
+      this.#executePendingOperations();
       this.#notifySubscribers();
       console.error("Error loading app data. Falling back to cache if available.");
+      return false;
+    }
+  }
+
+  /**
+   * Seeds the cache with the bootstrap data when no app data was ever fetched,
+   * so the app works offline on first launch. Fetched data always takes precedence.
+   */
+  #seedBootstrap() {
+    const cache = this.#cache.getCache();
+    if (!this.#bootstrap || cache?.lastFetchTimestamp) {
+      return;
+    }
+    this.#saveAppData(this.#bootstrap, Object.keys(APP_DATA_FIELDS));
+  }
+
+  /**
+   * Saves app data slices to the cache.
+   * @param {AppConfigResponse} config - The app data
+   * @param {string[]} slices - The slices to save (configs, content and/or campaigns)
+   */
+  #saveAppData(config, slices) {
+    if (slices.includes("configs")) {
+      this.#cache.saveKeyValue("configs", config.appConfig || {});
+    }
+    if (slices.includes("content")) {
+      this.#cache.saveKeyValue("content", config.content || []);
+    }
+    if (slices.includes("campaigns")) {
+      this.#cache.saveKeyValue("campaigns", config.campaigns || []);
+      if (config.campaigns) {
+        this.#abTest.setCampaigns(config.campaigns);
+      }
+    }
+  }
+
+  /**
+   * Reloads only the app data slices named by a realtime change notification.
+   * Uses the data sent with the notification when it covers every slice, otherwise fetches the app data.
+   * @param {string[]} slices - The changed slices (configs, content and/or campaigns)
+   * @param {Object|null} data - The partial AppConfigResponse sent with the notification
+   * @returns {Promise<void>}
+   */
+  async #refreshSlices(slices, data) {
+    try {
+      const hasData = data && slices.every((slice) => APP_DATA_FIELDS[slice] in data);
+      const config = hasData ? data : await this.#configFetch.fetchAppConfig();
+      if (config) {
+        this.#saveAppData(config, slices);
+        // the cache is up to date again, so it is served without a refetch until the TTL expires
+        this.#cache.saveKeyValue("lastFetchTimestamp", new Date().toISOString());
+        this.#notifySubscribers();
+      }
+    } catch (error) {
+      console.error(ERROR_MESSAGES.FAILED_REALTIME_REFRESH, error);
     }
   }
 
@@ -252,22 +468,43 @@ class Resync {
    * Executes the pending operations due to the app config not being loaded yet.
    */
   #executePendingOperations() {
-    for (const operation of this.pendingOperations) {
-      operation.method.apply(this, operation.args);
-    }
+    const operations = this.pendingOperations;
     this.pendingOperations = [];
+    for (const operation of operations) {
+      this.#runOperation(operation);
+    }
   }
 
   /**
    * Executes the pending user operations due to the user ID not being set yet.
    */
   #executePendingUserOperations() {
-    for (const operation of this.pendingUserOperations) {
-      operation.method.apply(this, operation.args);
-    }
+    const operations = this.pendingUserOperations;
     this.pendingUserOperations = [];
+    for (const operation of operations) {
+      this.#runOperation(operation);
+    }
   }
 
+  /**
+   * Runs a queued operation and settles the promise handed out when it was queued.
+   * @param {{method: Function, args: Array, resolve: Function, reject: Function}} operation - The queued operation
+   */
+  #runOperation(operation) {
+    try {
+      Promise.resolve(operation.method.apply(this, operation.args))
+        .then(operation.resolve, operation.reject);
+    } catch (error) {
+      operation.reject(error);
+    }
+  }
+
+  /**
+   * Reloads the app configuration from the Resync API.
+   * @returns {Promise<void>} - Resolves when the reload is complete
+   * @example
+   * await Resync.reload();
+   */
   async reload() {
     await this.#loadAppConfig(true);
   }
@@ -300,19 +537,29 @@ class Resync {
   #logInUser(userId, metadata = null) {
     this.userId = `${userId}`;
     // this.sessionId = `${Math.random().toString(36).substring(2, 15)}-${Date.now()}`; keep the same session id that already exists
-    ResyncCache.saveKeyValue("userId", `${userId}`);
-    // ResyncCache.saveKeyValue("sessionId", this.sessionId); keep the same session id that already exists
-    ResyncCache.saveKeyValue("user", null);
-    ResyncCache.saveKeyValue("campaignAssignments", {});
+    this.#cache.saveKeyValue("userId", `${userId}`);
+    // this.#cache.saveKeyValue("sessionId", this.sessionId); keep the same session id that already exists
+    this.#cache.saveKeyValue("user", null);
+    this.#cache.saveKeyValue("userAttributes", this.#getTargetingAttributes(metadata));
+    // sticky assignments made under the session carry over to the user
+    const campaignAssignments = this.#abTest.carryOverAssignments();
+    this.#abTest.clearServedVariants();
+    this.#abTest.clearExposures();
     this.#executePendingUserOperations();
     if (this.#apiKey && this.#appId) {
-      const body = JSON.stringify({
+      const body = {
         userId,
         appId: Number(this.#appId),
         ...metadata,
-      })
-      // post the user data and reload the data
-      return ConfigFetch.logInUser(body).then(() => this.#loadAppConfig(true));
+        // lets the backend alias the session to the user
+        sessionId: this.#cache.getKeyValue("sessionId"),
+        campaignAssignments,
+      };
+      // post the user data and reload the data, notifying subscribers of the new user even when the data is the same
+      return this.#configFetch.logInUser(body).then(() => {
+        this.#hasNotified = false;
+        return this.#loadAppConfig(true);
+      });
     }
     return Promise.resolve(false);
   }
@@ -376,8 +623,14 @@ class Resync {
   }
   #setUserAttributes({ email, name, phone, language, age, gender, country, attributes }) {
     this.attributes = JSON.stringify(attributes);
+    // kept locally so campaign audiences can be evaluated offline
+    this.#cache.saveKeyValue("userAttributes", this.#getTargetingAttributes({
+      ...this.#cache.getKeyValue("userAttributes"),
+      ...{ email, name, phone, language, age, gender, country },
+      attributes: { ...this.#cache.getKeyValue("userAttributes")?.attributes, ...attributes },
+    }));
     if (this.#apiKey && this.#appId) {
-      const body = JSON.stringify({
+      const body = {
         userId: this.userId,
         appId: Number(this.#appId),
         email,
@@ -388,31 +641,162 @@ class Resync {
         gender,
         country,
         attributes,
-      });
-      return ConfigFetch.setUserAttributesData(body);
+      };
+      return this.#configFetch.setUserAttributesData(body);
     }
     return Promise.resolve(false);
   }
 
+  /**
+   * Returns the user attributes used for audience targeting, without the unset ones.
+   * @param {Object|null} attributes - The user attributes
+   * @returns {Object|null} The defined attributes or null
+   */
+  #getTargetingAttributes(attributes) {
+    if (!attributes) {
+      return null;
+    }
+    return Object.fromEntries(
+      Object.entries(attributes).filter(([, value]) => value !== undefined && value !== null)
+    );
+  }
+
   /**
    * Gets a variant for a campaign.
+   * Users outside the campaign audience get the control variant.
    * @param {string} campaignName - The campaign name
-   * @returns {Promise<number|null>} The variant content view id or null if not found
+   * @param {{full?: boolean}} [options] - Set full to get the whole variant (id, name, value, weight and content view id)
+   * @returns {Promise<number|CampaignVariant|null>} The variant content view id, or the variant when full is set, or null if not found
    * @throws {Error} If AbTest is not initialized
    * @example
    * const variant = await Resync.getVariant('pricing-campaign');
+   * const { name, value } = await Resync.getVariant('pricing-campaign', { full: true });
+   */
+  async getVariant(campaignName, options) {
+    return this.#queueGetMethod(this.#getVariant, campaignName, options);
+  }
+  async #getVariant(campaignName, options) {
+    if (!this.#appId) {
+      throw new Error(ERROR_MESSAGES.APP_ID_NOT_SET);
+    }
+    if (!this.#abTest) {
+      throw new Error(ERROR_MESSAGES.ABTEST_NOT_INITIALIZED);
+    }
+    return await this.#abTest.getVariant(campaignName, options);
+  }
+
+  /**
+   * Logs that the user was exposed to their variant of a campaign, e.g. once it is rendered.
+   * Exposures are logged once per variant, session and user. getVariant only logs them
+   * when Resync is initialized with autoExposure.
+   * @param {string} campaignName - The campaign name
+   * @returns {Promise<boolean>} True if the exposure was logged, false if it was skipped or already logged
+   * @throws {Error} If the campaign does not exist
+   * @example
+   * await Resync.trackExposure('checkout_flow_test');
+   */
+  async trackExposure(campaignName) {
+    return this.#queueGetMethod(this.#trackExposure, campaignName);
+  }
+  async #trackExposure(campaignName) {
+    return await this.#abTest.trackExposure(campaignName);
+  }
+
+  /**
+   * Registers an assignment strategy for campaigns with the given abTestType.
+   * The strategy runs on the device and returns a content view id, or
+   * `{ contentViewId, persist: false }` to serve a variant without storing it as the user's assignment.
+   * @param {string} type - The abTestType the strategy handles
+   * @param {AssignmentStrategy} strategy - The assignment function
+   * @throws {Error} If the type is not a string, the strategy is not a function or the type is a system template
+   * @example
+   * Resync.registerAssignmentStrategy('us-first', (campaign, { attributes }) =>
+   *   attributes.country === 'US' ? campaign.variantAContentId : campaign.controlContentId
+   * );
+   */
+  registerAssignmentStrategy(type, strategy) {
+    this.#abTest.registerStrategy(type, strategy);
+  }
+
+  /**
+   * Forces the variant of a campaign, so QA can check every variant on demand.
+   * Overrides are kept in memory, take precedence over assignments and are never logged.
+   * They are only allowed in the sandbox environment, unless Resync is initialized with allowOverrides.
+   * @param {string} campaignName - The campaign name
+   * @param {number|string} variant - The content view id, or the variant id, to show
+   * @returns {boolean} True if the override was set, false if overrides are not allowed
+   * @throws {Error} If the variant is not a content view id or a variant id
+   * @example
+   * Resync.setVariantOverride('checkout_button', 12);
+   */
+  setVariantOverride(campaignName, variant) {
+    return this.#abTest.setOverride(campaignName, variant);
+  }
+
+  /**
+   * Applies the variant overrides of a deep link or URL, passed as
+   * `resync_override=<campaignName>:<contentViewId or variantId>`.
+   * The page URL is read on init in browsers, so this is mostly for deep links.
+   * @param {string} url - The URL or deep link
+   * @returns {boolean} True if the overrides were set, false if overrides are not allowed
+   * @example
+   * Linking.addEventListener('url', ({ url }) => Resync.setOverridesFromUrl(url));
+   */
+  setOverridesFromUrl(url) {
+    return this.#abTest.setOverrides(parseOverrides(url));
+  }
+
+  /**
+   * Removes all variant overrides, so the assigned variants are shown again.
+   * @returns {void}
    */
-  async getVariant(campaignName) {
-    return this.#queueGetMethod(this.#getVariant, campaignName);
+  clearOverrides() {
+    this.#abTest.clearOverrides();
   }
-  async #getVariant(campaignName) {
+
+  /**
+   * Checks whether a feature flag is enabled for the current user.
+   * Flags are campaigns with a rollout percent. Users are bucketed by user id, or session id
+   * when anonymous, so the result is stable and raising the percent only enables more users.
+   * @param {string} flagName - The feature flag name
+   * @returns {boolean|Promise<boolean>} True if the flag is enabled, false if it is not or does not exist
+   * @example
+   * if (await Resync.isFeatureEnabled('new-checkout')) {
+   *   renderNewCheckout();
+   * }
+   */
+  isFeatureEnabled(flagName) {
+    return this.#queueGetMethod(this.#isFeatureEnabled, flagName);
+  }
+  #isFeatureEnabled(flagName) {
+    return this.#abTest.isFeatureEnabled(flagName);
+  }
+
+  /**
+   * Records a conversion for a campaign.
+   * The conversion is attributed to the variant served to the current user.
+   * @param {string} campaignName - The campaign name
+   * @param {ConversionOptions} [options] - The conversion options
+   * @returns {Promise<boolean>} True if the conversion was logged, false if no variant was served or it was already recorded
+   * @throws {Error} If the campaign is not found
+   * @example
+   * await Resync.recordConversion('pricing-campaign', {
+   *   conversionId: 'order-123',
+   *   revenue: 99.99,
+   *   currency: 'USD',
+   * });
+   */
+  async recordConversion(campaignName, options = {}) {
+    return this.#queueGetMethod(this.#recordConversion, campaignName, options);
+  }
+  async #recordConversion(campaignName, options) {
     if (!this.#appId) {
       throw new Error(ERROR_MESSAGES.APP_ID_NOT_SET);
     }
-    if (!AbTest) {
+    if (!this.#abTest) {
       throw new Error(ERROR_MESSAGES.ABTEST_NOT_INITIALIZED);
     }
-    return await AbTest.getVariant(campaignName);
+    return await this.#abTest.recordConversion(campaignName, options);
   }
 
   /**
@@ -430,7 +814,7 @@ class Resync {
     if (!this.#appId) {
       throw new Error(ERROR_MESSAGES.APP_ID_NOT_SET);
     }
-    const configs = ResyncCache.getKeyValue("configs");
+    const configs = this.#cache.getKeyValue("configs");
     if (configs && key in configs) {
       return configs[key];
     }
@@ -438,6 +822,67 @@ class Resync {
     // throw new Error(ERROR_MESSAGES.CONFIG_NOT_FOUND(key));
   }
 
+  /**
+   * Gets a boolean configuration value. Unlike getConfig, it never waits for the first load.
+   * Falls back to the default value, with a warning, when the value is not a boolean or fails its schema rule.
+   * @param {string} key - The configuration key
+   * @param {boolean} defaultValue - The value returned before the first load, and when the key is missing or invalid
+   * @returns {boolean} The configuration value or the default value
+   * @example
+   * const newCheckout = Resync.getBoolean('new-checkout', false);
+   */
+  getBoolean(key, defaultValue) {
+    return this.#getTypedConfig(key, CONFIG_VALUE_TYPES.BOOLEAN, defaultValue);
+  }
+
+  /**
+   * Gets a number configuration value.
+   * Falls back to the default value, with a warning, when the value is not a number or fails its schema rule.
+   * @param {string} key - The configuration key
+   * @param {number} defaultValue - The value returned before the first load, and when the key is missing or invalid
+   * @returns {number} The configuration value or the default value
+   * @example
+   * const maxRetries = Resync.getNumber('max-retries', 3);
+   */
+  getNumber(key, defaultValue) {
+    return this.#getTypedConfig(key, CONFIG_VALUE_TYPES.NUMBER, defaultValue);
+  }
+
+  /**
+   * Gets a string configuration value.
+   * Falls back to the default value, with a warning, when the value is not a string or fails its schema rule.
+   * @param {string} key - The configuration key
+   * @param {string} defaultValue - The value returned before the first load, and when the key is missing or invalid
+   * @returns {string} The configuration value or the default value
+   * @example
+   * const theme = Resync.getString('theme', 'light');
+   */
+  getString(key, defaultValue) {
+    return this.#getTypedConfig(key, CONFIG_VALUE_TYPES.STRING, defaultValue);
+  }
+
+  /**
+   * Gets a JSON (object or array) configuration value.
+   * String values are parsed. Falls back to the default value, with a warning,
+   * when the value is not valid JSON or fails its schema rule.
+   * @param {string} key - The configuration key
+   * @param {Object|Array} defaultValue - The value returned before the first load, and when the key is missing or invalid
+   * @returns {Object|Array} The configuration value or the default value
+   * @example
+   * const apiSettings = Resync.getJSON('api-settings', { timeout: 5000 });
+   */
+  getJSON(key, defaultValue) {
+    return this.#getTypedConfig(key, CONFIG_VALUE_TYPES.JSON, defaultValue);
+  }
+  #getTypedConfig(key, type, defaultValue) {
+    // typed getters return their value synchronously, the cached data is served while reloading
+    if (!this.ready) {
+      return defaultValue;
+    }
+    const value = this.#getConfig(key);
+    return resolveConfigValue(key, value, type, defaultValue, this.#configSchema[key]);
+  }
+
   getContent() {
     return this.#queueGetMethod(this.#getContent);
   }
@@ -445,13 +890,43 @@ class Resync {
     if (!this.#appId) {
       throw new Error(ERROR_MESSAGES.APP_ID_NOT_SET);
     }
-    const content = ResyncCache.getKeyValue("content");
+    const content = this.#cache.getKeyValue("content");
     if (content) {
       return content;
     }
     throw new Error(ERROR_MESSAGES.NO_CONTENT_AVAILABLE);
   }
 
+  /**
+   * Gets a content view as an ordered tree of sections, lists, list items, forms and elements.
+   * Hidden items are left out with their children, and so are items with a missing parent or a parent cycle.
+   * Trees are built once per content view and rebuilt when the content is reloaded.
+   * @param {string|number} nameOrId - The content view name or id
+   * @returns {ContentViewTree|Promise<ContentViewTree>} The content view with its resolved tree
+   * @throws {Error} If App ID is not set or the content view does not exist
+   * @example
+   * const view = await Resync.getContentView('home');
+   * view.children.forEach((section) => renderSection(section));
+   */
+  getContentView(nameOrId) {
+    return this.#queueGetMethod(this.#getContentView, nameOrId);
+  }
+  #getContentView(nameOrId) {
+    const content = this.#getContent();
+    const contentView = content.find((view) => view.name === nameOrId || `${view.id}` === `${nameOrId}`);
+    if (!contentView) {
+      throw new Error(ERROR_MESSAGES.CONTENT_VIEW_NOT_FOUND(nameOrId));
+    }
+    // reloads replace the cached content, which invalidates the trees
+    if (this.#contentTrees.content !== content) {
+      this.#contentTrees = { content, trees: new Map() };
+    }
+    if (!this.#contentTrees.trees.has(contentView.id)) {
+      this.#contentTrees.trees.set(contentView.id, buildContentTree(contentView));
+    }
+    return this.#contentTrees.trees.get(contentView.id);
+  }
+
   /**
    * Logs an event.
    * @param {{eventId: string, logId?: string, metadata?: Record<string, unknown>}} event - The event object
@@ -470,35 +945,83 @@ class Resync {
     if (!this.#appId) {
       throw new Error(ERROR_MESSAGES.APP_ID_NOT_SET);
     }
-    if (!AppLogger) {
+    if (!this.#appLogger) {
       throw new Error(ERROR_MESSAGES.CONTENT_LOGGER_NOT_INITIALIZED);
     }
-    AppLogger.logEvent(event);
+    this.#appLogger.logEvent(event);
+  }
+
+  /**
+   * Validates form data against the field definitions of its content view.
+   * Fields are checked for required values, options, email, URL and number input modes,
+   * lengths, ranges, steps, patterns and their validationRules.
+   * @param {number} contentViewId - The content view id of the form
+   * @param {Record<string, unknown>} data - The form values keyed by field name
+   * @param {{messages?: ValidationMessages}} [options] - Messages by rule for this validation, e.g. in the user's language
+   * @returns {FormValidationResult|Promise<FormValidationResult>} Whether the data is valid, and the errors keyed by field name
+   * @throws {Error} If App ID is not set or the content view does not exist
+   * @example
+   * const { valid, errors } = await Resync.validateForm(456, { email: 'john@' });
+   * // errors.email.message === 'Email must be a valid email address.'
+   */
+  validateForm(contentViewId, data, options) {
+    return this.#queueGetMethod(this.#validateForm, contentViewId, data, options);
+  }
+  #validateForm(contentViewId, data, { messages } = {}) {
+    const contentView = this.#getContentView(contentViewId);
+    return validateFormData(contentView, data, { ...this.#validationMessages, ...messages });
   }
 
   /**
    * Submits a form to the backend API.
+   * The data is validated against the form first, and invalid data is not submitted.
+   * Forms whose content view is not cached are submitted as is, and validated by the backend.
    * @param {{contentViewId: number, data: Record<string, unknown>}} formData - The form data to submit.
-   * @returns {Promise<boolean | Error>} - Returns true if the form is submitted successfully, false otherwise.
+   * @param {{skipValidation?: boolean}} [options] - Set skipValidation to submit the data without validating it.
+   * @returns {Promise<boolean | Error>} - Returns true if the form is submitted successfully, false otherwise or when the data is invalid.
    * @description This method sends a form data to the backend API for storage.
    */
-  async submitForm(formData) {
+  async submitForm(formData, { skipValidation = false } = {}) {
     if (!this.#appId) {
       throw new Error(ERROR_MESSAGES.APP_ID_NOT_SET);
     }
-    if (!AppLogger) {
+    if (!this.#appLogger) {
       throw new Error(ERROR_MESSAGES.CONTENT_LOGGER_NOT_INITIALIZED);
     }
-    return AppLogger.submitForm(formData);
+    if (!skipValidation) {
+      const validation = this.#validateCachedForm(formData);
+      if (validation && !validation.valid) {
+        console.warn(ERROR_MESSAGES.FORM_VALIDATION_FAILED(formData.contentViewId, Object.keys(validation.errors)));
+        return false;
+      }
+    }
+    return this.#appLogger.submitForm(formData);
+  }
+
+  /**
+   * Validates form data when the content view of the form is cached.
+   * @param {{contentViewId: number, data: Record<string, unknown>}} formData - The form data
+   * @returns {FormValidationResult|null} The validation result, null if the content view is not cached
+   */
+  #validateCachedForm(formData) {
+    let contentView;
+    try {
+      contentView = this.#getContentView(formData.contentViewId);
+    } catch (error) {
+      return null;
+    }
+    return validateFormData(contentView, formData.data, this.#validationMessages);
   }
 
   /**
    * Subscribes a callback function to configuration updates.
-   * @param {Function} callback - The callback function to subscribe
+   * The callback receives the change set of the update. It is always called after the first load and after the user logs in or out,
+   * and otherwise only when configs, content or campaigns actually changed.
+   * @param {function(ChangeSet): void} callback - The callback function to subscribe
    * @throws {Error} If callback is not a function
    * @example
-   * this.subscribe(() => {
-   *   console.log('Configuration updated:');
+   * this.subscribe((changes) => {
+   *   console.log('Configuration updated:', changes.configs);
    * });
    */
   subscribe(callback) {
@@ -525,11 +1048,151 @@ class Resync {
   }
 
   /**
-   * Notifies all subscribers with the provided data.
+   * Stops the background timers of this client.
+   * Call it when a client created with createResyncClient is no longer needed.
+   * @example
+   * client.destroy();
+   */
+  destroy() {
+    this.#refresher?.stop();
+    this.#refresher = null;
+    this.#stream?.disconnect();
+    this.#stream = null;
+    this.#abTest.destroy();
+    this.#appLogger.destroy();
+    this.subscribers.clear();
+    this.#configListeners.clear();
+    this.#contentListeners.clear();
+    this.#statusListeners.clear();
+  }
+
+  /**
+   * Subscribes to changes of a single configuration key.
+   * The callback is only called when the value of the key changes.
+   * @param {string} key - The configuration key
+   * @param {function(*, *): void} callback - Called with the new and the previous value
+   * @returns {Function} A function that removes the listener
+   * @throws {Error} If callback is not a function
+   * @example
+   * const stop = Resync.onConfigChange('theme', (theme, previousTheme) => {
+   *   applyTheme(theme);
+   * });
+   */
+  onConfigChange(key, callback) {
+    return this.#addListener(this.#configListeners, key, callback);
+  }
+
+  /**
+   * Subscribes to changes of a single content view.
+   * The callback is only called when the content view changes, is added or is removed.
+   * @param {string} viewName - The content view name
+   * @param {function(ContentView|null, ContentView|null): void} callback - Called with the new and the previous content view
+   * @returns {Function} A function that removes the listener
+   * @throws {Error} If callback is not a function
+   * @example
+   * const stop = Resync.onContentChange('HomeBanner', (view) => {
+   *   renderBanner(view);
+   * });
+   */
+  onContentChange(viewName, callback) {
+    return this.#addListener(this.#contentListeners, viewName, callback);
+  }
+
+  /**
+   * Subscribes to the load status of the client.
+   * The callback is called whenever ready, isLoading or loadFailed change, also when no data changed,
+   * e.g. when a reload starts or fails.
+   * @param {function(ResyncStatus): void} callback - Called with the new status
+   * @returns {Function} A function that removes the listener
+   * @throws {Error} If callback is not a function
+   * @example
+   * const stop = Resync.onStatusChange(({ isLoading, loadFailed }) => {
+   *   showSpinner(isLoading);
+   * });
+   */
+  onStatusChange(callback) {
+    if (typeof callback !== "function") {
+      throw new Error(ERROR_MESSAGES.CALLBACK_MUST_BE_FUNCTION);
+    }
+    this.#statusListeners.add(callback);
+    return () => {
+      this.#statusListeners.delete(callback);
+    };
+  }
+
+  /**
+   * Returns the load status of the client.
+   * @returns {ResyncStatus} Whether the client is ready, loading, and whether its last load failed
+   */
+  getStatus() {
+    return { ready: this.ready, isLoading: this.isLoading, loadFailed: this.loadFailed };
+  }
+
+  /**
+   * Updates the load status, and notifies the status listeners when it changed.
+   * @param {Partial<ResyncStatus>} status - The status fields to update
+   */
+  #setStatus(status) {
+    const previous = this.getStatus();
+    Object.assign(this, status);
+    const next = this.getStatus();
+    if (Object.keys(next).every((key) => next[key] === previous[key])) {
+      return;
+    }
+    this.#statusListeners.forEach((callback) => callback(next));
+  }
+
+  /**
+   * Adds a keyed listener.
+   * @param {Map<string, Set<Function>>} listeners - The listeners map
+   * @param {string} key - The key to listen to
+   * @param {Function} callback - The listener
+   * @returns {Function} A function that removes the listener
+   */
+  #addListener(listeners, key, callback) {
+    if (typeof callback !== "function") {
+      throw new Error(ERROR_MESSAGES.CALLBACK_MUST_BE_FUNCTION);
+    }
+    if (!listeners.has(key)) {
+      listeners.set(key, new Set());
+    }
+    listeners.get(key).add(callback);
+    return () => {
+      listeners.get(key)?.delete(callback);
+      if (listeners.get(key)?.size === 0) {
+        listeners.delete(key);
+      }
+    };
+  }
+
+  /**
+   * Notifies subscribers and keyed listeners of what changed since the last notification.
+   * Subscribers are skipped when nothing changed, except for the first notification after a load.
    */
   #notifySubscribers() {
-    if (this.subscribers.size > 0) {
-      this.subscribers.forEach((callback) => callback());
+    const previous = this.#appDataSnapshot;
+    const next = {
+      configs: this.#cache.getKeyValue("configs") || {},
+      content: this.#cache.getKeyValue("content") || [],
+      campaigns: this.#cache.getKeyValue("campaigns") || [],
+    };
+    const changes = diffAppData(previous, next);
+    this.#appDataSnapshot = next;
+
+    if (!changes.hasChanges && this.#hasNotified) {
+      return;
+    }
+    this.#hasNotified = true;
+
+    this.subscribers.forEach((callback) => callback(changes));
+
+    for (const key of changes.configs) {
+      this.#configListeners.get(key)?.forEach((callback) => callback(next.configs[key], previous.configs[key]));
+    }
+    for (const viewName of changes.content) {
+      const view = next.content.find((item) => item.name === viewName) || null;
+      const previousView = previous.content.find((item) => item.name === viewName) || null;
+      this.#contentListeners.get(viewName)?.forEach((callback) => callback(view, previousView));
     }
   }
 
@@ -576,5 +1239,25 @@ class Resync {
     }
 }
 
+/**
+ * Creates a new, independent Resync client and initializes it.
+ * Each client has its own cache, config service, logger and campaign engine.
+ * @param {InitOptions} options - Initialization options
+ * @returns {Promise<Resync>} - The initialized client
+ * @example
+ * const sandbox = await createResyncClient({
+ *   key: 'your-api-key',
+ *   appId: 'your-app-id',
+ *   storage: localStorage,
+ *   storageKey: 'resync_sandbox',
+ *   environment: 'sandbox'
+ * });
+ */
+export async function createResyncClient(options) {
+  const client = new Resync();
+  await client.init(options);
+  return client;
+}
+
 // Also export an instance for convenience
 export const ResyncAPI = new Resync();
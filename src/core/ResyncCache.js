@@ -1,27 +1,32 @@
 import { STORAGE_CONFIG } from "../utils/constants.js";
 
-const STORAGE_KEY = STORAGE_CONFIG.CACHE_KEY;
-
 /**
  * ResyncCache class for managing application configuration caching.
  * Provides functionality for storing and retrieving configuration data,
  * functions, campaigns, and user variants with optional persistence.
  * 
+ * Each Resync client owns its own ResyncCache instance.
+ * 
  * @class ResyncCache
  * @example
+ * const cache = new ResyncCache();
+ * 
  * // Initialize with localStorage
- * ResyncCache.init(localStorage);
+ * cache.init(localStorage);
  * 
  * // Save a configuration value
- * ResyncCache.saveKeyValue('configs', { featureFlag: true });
+ * cache.saveKeyValue('configs', { featureFlag: true });
  * 
  * // Retrieve a configuration value
- * const configs = ResyncCache.getKeyValue('configs');
+ * const configs = cache.getKeyValue('configs');
  */
-class ResyncCache {
+export class ResyncCache {
   /** @type {StorageInterface|null} */
   storage;
 
+  /** @type {string} */
+  storageKey = STORAGE_CONFIG.CACHE_KEY;
+
   /** @type {ResyncCacheData} */
   cache = {
     configs: {},
@@ -31,25 +36,34 @@ class ResyncCache {
     sessionId: null,
     userId: null,
     campaignAssignments: {},
+    campaignConversions: {},
     user: null,
+    userAttributes: null,
+    clockOffset: 0,
+    holdout: null,
+    exposures: null,
   };
 
   /**
    * Initializes the ResyncCache with optional storage.
    * @param {StorageInterface} [storage] - Optional storage interface for persistence
+   * @param {string} [storageKey] - Optional storage key, needed when several clients share the same storage
    * @example
    * // Initialize with localStorage
-   * ResyncCache.init(localStorage);
+   * cache.init(localStorage);
    * 
    * // Initialize with custom storage
-   * ResyncCache.init({
+   * cache.init({
    *   getItem: (key) => customStorage.get(key),
    *   setItem: (key, value) => customStorage.set(key, value),
    *   removeItem: (key) => customStorage.delete(key),
    *   clear: () => customStorage.clear()
    * });
    */
-  async init(storage) {
+  async init(storage, storageKey) {
+    if (storageKey) {
+      this.storageKey = storageKey;
+    }
     if (storage) {
       this.storage = storage;
       await this.loadFromStorage();
@@ -60,8 +74,8 @@ class ResyncCache {
    * Gets the current cache instance.
    * @returns {ResyncCacheData} The current cache data
    * @example
-   * const cache = ResyncCache.getCache();
-   * console.log('Current cache:', cache);
+   * const data = cache.getCache();
+   * console.log('Current cache:', data);
    */
   getCache() {
     return this.cache;
@@ -76,10 +90,15 @@ class ResyncCache {
       sessionId: null,
       userId: null,
       campaignAssignments: {},
+      campaignConversions: {},
       user: null,
+      userAttributes: null,
+      clockOffset: 0,
+      holdout: null,
+      exposures: null,
     };
     if (this.storage) {
-      await this.storage.setItem(STORAGE_KEY, JSON.stringify(this.cache));
+      await this.storage.setItem(this.storageKey, JSON.stringify(this.cache));
     } else {
       console.warn("No storage available to clear cache.");
     }
@@ -90,8 +109,8 @@ class ResyncCache {
    * @param {string} key - The cache key to retrieve
    * @returns {*} The cached value or null if not found
    * @example
-   * const configs = ResyncCache.getKeyValue('configs');
-   * const content = ResyncCache.getKeyValue('content');
+   * const configs = cache.getKeyValue('configs');
+   * const content = cache.getKeyValue('content');
    */
   getKeyValue(key) {
     return this.cache[key] || null;
@@ -100,12 +119,12 @@ class ResyncCache {
   /**
    * Saves the entire cache to storage.
    * @example
-   * ResyncCache.saveToStorage();
+   * cache.saveToStorage();
    */
   saveToStorage() {
     if (this.storage) {
       this.storage.setItem(
-        STORAGE_KEY,
+        this.storageKey,
         JSON.stringify(this.cache)
       );
     } else {
@@ -118,27 +137,64 @@ class ResyncCache {
    * @param {string} key - The cache key
    * @param {*} value - The value to cache
    * @example
-   * ResyncCache.saveKeyValue('configs', { featureFlag: true });
-   * ResyncCache.saveKeyValue('lastFetchTimestamp', new Date().toISOString());
+   * cache.saveKeyValue('configs', { featureFlag: true });
+   * cache.saveKeyValue('lastFetchTimestamp', new Date().toISOString());
    */
   saveKeyValue(key, value) {
     this.cache[key] = value;
     if (this.storage) {
-      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.cache)).catch((error) => {
+      // synchronous storages (e.g. localStorage) don't return a promise
+      Promise.resolve(this.storage.setItem(this.storageKey, JSON.stringify(this.cache))).catch((error) => {
         console.error("Error saving cache to storage:", error);
       });
     }
   }
 
+  /**
+   * Saves a value to storage under its own key, outside of the cache.
+   * Used for data that must survive clearCache, such as pending log entries.
+   * @param {string} key - The item key, prefixed with the storage key
+   * @param {*} value - The value to save
+   * @example
+   * cache.saveItem('event_queue', logs);
+   */
+  saveItem(key, value) {
+    if (this.storage) {
+      Promise.resolve(this.storage.setItem(`${this.storageKey}_${key}`, JSON.stringify(value))).catch((error) => {
+        console.error("Error saving item to storage:", error);
+      });
+    }
+  }
+
+  /**
+   * Loads a value saved with saveItem from storage.
+   * @param {string} key - The item key, prefixed with the storage key
+   * @returns {Promise<*>} The saved value or null if not found
+   * @example
+   * const logs = await cache.loadItem('event_queue');
+   */
+  async loadItem(key) {
+    if (!this.storage) {
+      return null;
+    }
+    try {
+      const data = await this.storage.getItem(`${this.storageKey}_${key}`);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error("Error loading item from storage:", error);
+      return null;
+    }
+  }
+
   /**
    * Loads cache data from storage.
    * @example
-   * ResyncCache.loadFromStorage();
+   * cache.loadFromStorage();
    */
   async loadFromStorage() {
     if (this.storage) {
        try {
-        const data = await this.storage.getItem(STORAGE_KEY);
+        const data = await this.storage.getItem(this.storageKey);
         if (data) {
           const parsedData = JSON.parse(data);
           // Restore the cache state from the parsed data
@@ -153,4 +209,4 @@ class ResyncCache {
   }
 }
 
-export default new ResyncCache();
\ No newline at end of file
+export default ResyncCache;
\ No newline at end of file
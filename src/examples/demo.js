@@ -129,12 +129,13 @@ async function demonstrateCampaign() {
     console.log("✅ Campaign variant retrieved:", variant);
     
     // Simulate recording a conversion
-    // ResyncAPI.recordConversion('campaign-1', {
-    //   revenue: 99.99,
-    //   currency: 'USD',
-    //   product: 'premium-plan'
-    // });
-    console.log("✅ Conversion recorded for campaign");
+    const converted = await ResyncAPI.recordConversion('campaign-1', {
+      conversionId: 'order-001',
+      revenue: 99.99,
+      currency: 'USD',
+      metadata: { product: 'premium-plan' }
+    });
+    console.log("✅ Conversion recorded for campaign:", converted);
     
   } catch (error) {
     console.log("ℹ️ Campaign not available (expected in demo):", error.message);
@@ -0,0 +1,446 @@
+/**
+ * DOM renderer for Resync content views
+ * Renders content views in the browser without a framework, and wires click actions
+ * and form submissions back into the Resync client.
+ */
+
+import { ERROR_MESSAGES } from "../utils/constants.js";
+import { toElementCss } from "./styles.js";
+import {
+  CONTAINER_TAGS,
+  FIELD_TYPES,
+  getFieldProps,
+  getImageSource,
+  getInputType,
+  getItemClassName,
+  getItemCss,
+  getRootCss,
+  isFormActive,
+  isSafeUrl,
+  toContentTree,
+} from "./shared.js";
+
+/**
+ * Applies CSS declarations to an element.
+ * @param {HTMLElement} element - The element
+ * @param {Object<string, string>} css - The CSS declarations keyed by CSS property
+ * @returns {void}
+ */
+function applyCss(element, css) {
+  Object.entries(css).forEach(([property, value]) => element.style.setProperty(property, value));
+}
+
+/**
+ * Logs the event attached to an item when its event action matches.
+ * @param {ContentItem} item - The item
+ * @param {'view'|'click'|'submit'} action - The action that happened
+ * @param {RendererHandlers} handlers - The renderer handlers
+ * @returns {void}
+ */
+function logItemEvent(item, action, handlers) {
+  const eventId = item.event?.eventId;
+  if (!eventId || item.eventConfig?.action !== action || !handlers.logEvent) {
+    return;
+  }
+  handlers.logEvent({
+    eventId,
+    logId: item.eventConfig?.logId ?? null,
+    metadata: item.eventConfig?.metadata ?? null,
+  });
+}
+
+/**
+ * Runs the click action of an item.
+ * The onAction handler runs every action when provided. Otherwise http, https, mailto and tel links
+ * are opened in a new tab, and share actions use the Web Share API, where available.
+ * @param {ClickAction} action - The click action
+ * @param {ContentItem} item - The clicked item
+ * @param {RendererHandlers} handlers - The renderer handlers
+ * @returns {void}
+ */
+function runClickAction(action, item, handlers) {
+  if (handlers.onAction) {
+    handlers.onAction(action, item);
+    return;
+  }
+  if (action.actionType === "link" && action.actionValue) {
+    if (!isSafeUrl(action.actionValue)) {
+      console.warn(ERROR_MESSAGES.UNSAFE_LINK_URL(action.actionValue));
+      return;
+    }
+    globalThis.open?.(action.actionValue, "_blank", "noopener");
+  } else if (action.actionType === "share" && typeof globalThis.navigator?.share === "function") {
+    globalThis.navigator.share(action.shareOption || {}).catch(() => {});
+  }
+}
+
+/**
+ * Makes an element clickable when its item has a click action or a click event.
+ * @param {HTMLElement} element - The rendered element
+ * @param {ContentItem} item - The item
+ * @param {RendererHandlers} handlers - The renderer handlers
+ * @returns {void}
+ */
+function wireClick(element, item, handlers) {
+  const action = item.data?.clickAction;
+  const hasClickEvent = item.eventConfig?.action === "click";
+  if (!action?.actionType && !hasClickEvent) {
+    return;
+  }
+  element.style.setProperty("cursor", "pointer");
+  element.addEventListener("click", (event) => {
+    // only the innermost clickable item handles the click
+    event.stopPropagation();
+    logItemEvent(item, "click", handlers);
+    if (action?.actionType) {
+      runClickAction(action, item, handlers);
+    }
+  });
+}
+
+/**
+ * Creates a form field element.
+ * @param {Document} document - The document to create elements in
+ * @param {ContentNode} item - The form field item
+ * @returns {HTMLElement} The field, wrapped in a label when it has one. Radio groups are fieldsets, labelled by their legend
+ */
+function createField(document, item) {
+  const field = getFieldProps(item);
+  let control;
+  if (item.elementType === "textarea") {
+    control = document.createElement("textarea");
+    if (field.rows) {
+      control.rows = field.rows;
+    }
+    if (field.cols) {
+      control.cols = field.cols;
+    }
+  } else if (item.elementType === "select") {
+    control = document.createElement("select");
+    (field.options || []).forEach((option) => {
+      const optionElement = document.createElement("option");
+      optionElement.value = option.value;
+      optionElement.textContent = option.label ?? option.value;
+      optionElement.disabled = !!option.disabled;
+      control.appendChild(optionElement);
+    });
+  } else if (item.elementType === "radio") {
+    control = document.createElement("fieldset");
+    (field.options || []).forEach((option) => {
+      const optionLabel = document.createElement("label");
+      const radio = document.createElement("input");
+      radio.type = "radio";
+      radio.name = item.name;
+      radio.value = option.value;
+      radio.disabled = !!option.disabled;
+      radio.required = !!field.required;
+      radio.checked = field.defaultValue !== undefined && `${field.defaultValue}` === `${option.value}`;
+      optionLabel.append(radio, document.createTextNode(option.label ?? option.value));
+      control.appendChild(optionLabel);
+    });
+  } else {
+    control = document.createElement("input");
+    if (item.elementType === "checkbox") {
+      control.type = "checkbox";
+      control.checked = field.defaultValue === true;
+    } else {
+      control.type = getInputType(field);
+      if (field.inputMode && field.inputMode !== "none") {
+        control.inputMode = field.inputMode;
+      }
+    }
+  }
+
+  if (item.elementType !== "radio") {
+    control.name = item.name;
+    control.required = !!field.required;
+    if (field.placeholder) {
+      control.placeholder = field.placeholder;
+    }
+    if (field.defaultValue !== undefined && item.elementType !== "checkbox") {
+      control.value = `${field.defaultValue}`;
+    }
+    if (field.minLength !== undefined) {
+      control.minLength = field.minLength;
+    }
+    if (field.maxLength !== undefined) {
+      control.maxLength = field.maxLength;
+    }
+    if (field.min !== undefined) {
+      control.min = `${field.min}`;
+    }
+    if (field.max !== undefined) {
+      control.max = `${field.max}`;
+    }
+    if (field.step !== undefined) {
+      control.step = `${field.step}`;
+    }
+    if (field.pattern) {
+      control.pattern = field.pattern;
+    }
+  }
+  applyCss(control, getItemCss(item));
+
+  if (!field.label) {
+    return control;
+  }
+  const isRadioGroup = item.elementType === "radio";
+  const labelText = document.createElement(isRadioGroup ? "legend" : "span");
+  labelText.textContent = field.label;
+  applyCss(labelText, toElementCss(field.labelStyle));
+  if (isRadioGroup) {
+    control.prepend(labelText);
+    return control;
+  }
+  const label = document.createElement("label");
+  label.append(labelText, control);
+  return label;
+}
+
+/**
+ * Creates the element of an element item.
+ * @param {Document} document - The document to create elements in
+ * @param {ContentNode} item - The element item
+ * @param {RendererHandlers} handlers - The renderer handlers
+ * @param {boolean} inForm - Whether the element is inside a form
+ * @returns {HTMLElement} The element
+ */
+function createElement(document, item, handlers, inForm) {
+  const { icon } = item.data || {};
+  const properties = item.data?.properties || {};
+  if (FIELD_TYPES.has(item.elementType)) {
+    // fields are styled by createField, which may wrap them in a label
+    return createField(document, item);
+  }
+  let element;
+  switch (item.elementType) {
+    case "button":
+      element = document.createElement("button");
+      // buttons without an action submit the form they are in
+      element.type = inForm && !item.data?.clickAction?.actionType ? "submit" : "button";
+      element.textContent = properties.textContent ?? "";
+      break;
+    case "image":
+      element = document.createElement("img");
+      element.src = getImageSource(properties.imageUrl);
+      element.alt = properties.imageAltText || "";
+      if (properties.imageWidth) {
+        element.width = properties.imageWidth;
+      }
+      if (properties.imageHeight) {
+        element.height = properties.imageHeight;
+      }
+      break;
+    case "icon":
+      element = handlers.renderIcon?.(icon || {}, item) || document.createElement("span");
+      element.setAttribute("data-icon", icon?.name || "");
+      element.setAttribute("aria-hidden", "true");
+      break;
+    case "divider":
+      element = document.createElement("hr");
+      break;
+    default:
+      element = document.createElement("p");
+      element.textContent = properties.textContent ?? "";
+  }
+  applyCss(element, getItemCss(item));
+  return element;
+}
+
+/**
+ * Reads the values of a form, keyed by field name.
+ * Checkboxes are read as booleans, and the other fields as strings.
+ * @param {HTMLFormElement} form - The form
+ * @returns {Record<string, string|boolean>} The form values
+ */
+function readFormValues(form) {
+  const values = {};
+  Array.from(form.querySelectorAll("input, select, textarea")).forEach((control) => {
+    if (!control.name || control.disabled) {
+      return;
+    }
+    if (control.type === "checkbox") {
+      values[control.name] = control.checked;
+    } else if (control.type === "radio") {
+      if (control.checked) {
+        values[control.name] = control.value;
+      }
+    } else {
+      values[control.name] = control.value;
+    }
+  });
+  return values;
+}
+
+/**
+ * Runs the success or error action of a submitted form.
+ * @param {Object} [action] - The submitted success or error action
+ * @param {ContentItem} item - The form item
+ * @param {RendererHandlers} handlers - The renderer handlers
+ * @returns {void}
+ */
+function runSubmitAction(action, item, handlers) {
+  if (!action?.type) {
+    return;
+  }
+  if (action.type === "alert") {
+    const message = [action.alertTitle, action.alertMessage].filter(Boolean).join("\n");
+    globalThis.alert?.(message);
+  } else if (action.type === "in_app_navigate" && action.inAppNavigate) {
+    handlers.onAction?.({ actionType: "navigation", navigation: action.inAppNavigate }, item);
+  } else if (action.type === "out_app_navigate" && action.outAppNavigate?.url) {
+    runClickAction({ actionType: "link", actionValue: action.outAppNavigate.url }, item, handlers);
+  }
+}
+
+/**
+ * Submits a form through the submitForm handler and runs its success or error action.
+ * @param {HTMLFormElement} form - The form
+ * @param {ContentNode} item - The form item
+ * @param {number} contentViewId - The content view id of the form
+ * @param {RendererHandlers} handlers - The renderer handlers
+ * @returns {Promise<void>}
+ */
+async function handleSubmit(form, item, contentViewId, handlers) {
+  const data = readFormValues(form);
+  logItemEvent(item, "submit", handlers);
+  let submitted = false;
+  try {
+    submitted = (await handlers.submitForm?.({ contentViewId, data })) === true;
+  } catch (error) {
+    submitted = false;
+  }
+  const { submittedSuccessAction, submittedErrorAction } = item.data || {};
+  runSubmitAction(submitted ? submittedSuccessAction : submittedErrorAction, item, handlers);
+  handlers.onSubmit?.(submitted, data, item);
+  const hideAfterSubmission = item.data?.hideAfterSubmission ?? submittedErrorAction?.hideAfterSubmission;
+  if (submitted && hideAfterSubmission) {
+    form.hidden = true;
+  }
+}
+
+/**
+ * Wires a form to the submitForm handler. Inactive forms are disabled.
+ * @param {HTMLFormElement} form - The form element
+ * @param {ContentNode} item - The form item
+ * @param {number} contentViewId - The content view id of the form
+ * @param {RendererHandlers} handlers - The renderer handlers
+ * @returns {void}
+ */
+function wireForm(form, item, contentViewId, handlers) {
+  const isActive = isFormActive(item);
+  if (!isActive) {
+    Array.from(form.querySelectorAll("input, select, textarea, button")).forEach((control) => {
+      control.disabled = true;
+    });
+  }
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    if (isActive) {
+      handleSubmit(form, item, item.contentViewId ?? contentViewId, handlers);
+    }
+  });
+}
+
+/**
+ * Wires the click actions, forms and events of a rendered item.
+ * @param {HTMLElement} element - The rendered element
+ * @param {ContentNode} item - The item
+ * @param {number} contentViewId - The content view id
+ * @param {RendererHandlers} handlers - The renderer handlers
+ * @returns {void}
+ */
+function wireItem(element, item, contentViewId, handlers) {
+  if (item.type === "form") {
+    wireForm(element, item, contentViewId, handlers);
+  }
+  wireClick(element, item, handlers);
+  logItemEvent(item, "view", handlers);
+}
+
+/**
+ * Renders a content node and its children.
+ * @param {Document} document - The document to create elements in
+ * @param {ContentNode} item - The node
+ * @param {{handlers: RendererHandlers, contentViewId: number, inForm: boolean}} context - The renderer handlers, the content view id and whether the node is in a form
+ * @returns {HTMLElement} The rendered element
+ */
+function renderNode(document, item, context) {
+  const { handlers, contentViewId, inForm } = context;
+  let element;
+  if (item.type === "element") {
+    element = createElement(document, item, handlers, inForm);
+  } else {
+    element = document.createElement(CONTAINER_TAGS[item.type] || "div");
+    applyCss(element, getItemCss(item));
+    const childContext = { ...context, inForm: inForm || item.type === "form" };
+    item.children.forEach((child) => element.appendChild(renderNode(document, child, childContext)));
+  }
+  element.classList.add(getItemClassName(item));
+  element.setAttribute("data-resync-item", item.itemId);
+  wireItem(element, item, contentViewId, handlers);
+  return element;
+}
+
+/**
+ * Renders a content view into a DOM container, replacing its children.
+ * Sections, scrollable sections, lists, list items, forms and every element type are rendered
+ * with their styles. Click actions and events are wired to the handlers: events are logged
+ * with logEvent, and forms are submitted with submitForm.
+ * @param {ContentView|ContentViewTree} view - The content view, as returned by getContent or getContentView
+ * @param {HTMLElement} container - The element to render the content view in
+ * @param {RendererHandlers} [handlers] - The handlers, usually bound to a Resync client
+ * @returns {function(): void} A function that removes the rendered content view
+ * @example
+ * const view = await Resync.getContentView('PromoAnnouncement');
+ * const unmount = renderContentView(view, document.getElementById('promo'), {
+ *   logEvent: (event) => Resync.logEvent(event),
+ *   submitForm: (formData) => Resync.submitForm(formData),
+ *   onAction: (action) => router.navigate(action.navigation?.routeName),
+ * });
+ */
+export function renderContentView(view, container, handlers = {}) {
+  const tree = toContentTree(view);
+  const document = container.ownerDocument;
+  const root = document.createElement("div");
+  root.classList.add("resync-content-view");
+  root.setAttribute("data-resync-view", tree.name ?? "");
+  applyCss(root, getRootCss());
+  tree.children.forEach((child) => {
+    root.appendChild(renderNode(document, child, { handlers, contentViewId: tree.id, inForm: false }));
+  });
+  container.replaceChildren(root);
+  return () => root.remove();
+}
+
+/**
+ * Attaches the handlers to a content view rendered on the server with renderContentViewToString
+ * in hydrate mode, without rendering it again.
+ * Items are matched to the markup by their data-resync-item attribute.
+ * @param {ContentView|ContentViewTree} view - The content view the markup was rendered from
+ * @param {HTMLElement} container - The element containing the server rendered markup
+ * @param {RendererHandlers} [handlers] - The handlers, usually bound to a Resync client
+ * @returns {function(): void} A function that removes the content view
+ * @example
+ * hydrateContentView(view, document.getElementById('promo'), {
+ *   logEvent: (event) => Resync.logEvent(event),
+ *   submitForm: (formData) => Resync.submitForm(formData),
+ * });
+ */
+export function hydrateContentView(view, container, handlers = {}) {
+  const tree = toContentTree(view);
+  const elements = new Map(
+    Array.from(container.querySelectorAll("[data-resync-item]"))
+      .map((element) => [element.getAttribute("data-resync-item"), element])
+  );
+  const hydrateNode = (item) => {
+    const element = elements.get(item.itemId);
+    if (element) {
+      wireItem(element, item, tree.id, handlers);
+    }
+    item.children.forEach(hydrateNode);
+  };
+  tree.children.forEach(hydrateNode);
+  const root = container.querySelector("[data-resync-view]");
+  return () => root?.remove();
+}
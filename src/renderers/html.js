@@ -0,0 +1,309 @@
+/**
+ * HTML renderer for Resync content views
+ * Renders content views to HTML strings without a DOM, for server-side rendering and snapshot tests.
+ * The markup matches the DOM renderer, so server rendered views can be hydrated with hydrateContentView.
+ */
+
+import { toElementCss } from "./styles.js";
+import {
+  CONTAINER_TAGS,
+  FIELD_TYPES,
+  getFieldProps,
+  getImageSource,
+  getInputType,
+  getItemClassName,
+  getItemCss,
+  getRootCss,
+  isFormActive,
+  toContentTree,
+} from "./shared.js";
+
+// Elements without a closing tag
+const VOID_TAGS = new Set(["img", "input", "hr"]);
+
+// Characters escaped in text and attribute values
+const ESCAPED_CHARACTERS = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escapes a value for use in HTML text or attribute values.
+ * @param {any} value - The value
+ * @returns {string} The escaped value
+ */
+function escapeHtml(value) {
+  return `${value ?? ""}`.replace(/[&<>"']/g, (character) => ESCAPED_CHARACTERS[character]);
+}
+
+/**
+ * Serializes CSS declarations, in the order they were declared.
+ * @param {Object<string, string>} css - The CSS declarations keyed by CSS property
+ * @returns {string} The declarations, e.g. 'display: flex; gap: 8px'
+ */
+function serializeCss(css) {
+  return Object.entries(css).map(([property, value]) => `${property}: ${value}`).join("; ");
+}
+
+/**
+ * Renders a tag with its attributes, styles and content.
+ * Attributes set to null, undefined or false are left out, and attributes set to true are rendered without a value.
+ * @param {string} tag - The tag name
+ * @param {{className?: string, css?: Object<string, string>, attributes?: Array<[string, any]>, content?: string}} element - The class name, the CSS declarations, the attributes and the rendered content
+ * @param {{styleMode: 'inline'|'class', classPrefix: string, classNames: Map<string, string>}} context - The render context
+ * @returns {string} The rendered tag
+ */
+function renderTag(tag, element, context) {
+  const { className, css = {}, attributes = [], content = "" } = element;
+  const classNames = className ? [className] : [];
+  let style = null;
+  const declarations = serializeCss(css);
+  if (declarations && context.styleMode === "class") {
+    // classes are numbered in order of first use, so the same view always renders the same markup
+    if (!context.classNames.has(declarations)) {
+      context.classNames.set(declarations, `${context.classPrefix}${context.classNames.size}`);
+    }
+    classNames.push(context.classNames.get(declarations));
+  } else if (declarations) {
+    style = declarations;
+  }
+  const renderedAttributes = [["class", classNames.join(" ") || null], ["style", style], ...attributes]
+    .filter(([, value]) => value !== null && value !== undefined && value !== false)
+    .map(([name, value]) => (value === true ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`))
+    .join("");
+  if (VOID_TAGS.has(tag)) {
+    return `<${tag}${renderedAttributes}>`;
+  }
+  return `<${tag}${renderedAttributes}>${content}</${tag}>`;
+}
+
+/**
+ * Returns the attributes of a form field control that constrain its value.
+ * @param {Record<string, any>} field - The field settings
+ * @returns {Array<[string, any]>} The attributes
+ */
+function getConstraintAttributes(field) {
+  return [
+    ["required", !!field.required],
+    ["minlength", field.minLength],
+    ["maxlength", field.maxLength],
+    ["min", field.min],
+    ["max", field.max],
+    ["step", field.step],
+    ["pattern", field.pattern || null],
+  ];
+}
+
+/**
+ * Renders a form field.
+ * @param {ContentNode} item - The form field item
+ * @param {{disabled: boolean}} state - Whether the field is in an inactive form
+ * @param {Object} context - The render context
+ * @returns {{tag: string, element: Object}} The tag of the field and its element, wrapped in a label when the field has one
+ */
+function renderField(item, state, context) {
+  const field = getFieldProps(item);
+  const css = getItemCss(item);
+  const hasDefaultValue = field.defaultValue !== undefined && field.defaultValue !== null;
+  const isDefaultValue = (value) => hasDefaultValue && `${field.defaultValue}` === `${value}`;
+  const labelCss = toElementCss(field.labelStyle);
+
+  if (item.elementType === "radio") {
+    const legend = field.label ? renderTag("legend", { css: labelCss, content: escapeHtml(field.label) }, context) : "";
+    const options = (field.options || []).map((option) => {
+      const radio = renderTag("input", {
+        attributes: [
+          ["type", "radio"],
+          ["name", item.name],
+          ["value", option.value],
+          ["checked", isDefaultValue(option.value)],
+          ["required", !!field.required],
+          ["disabled", state.disabled || !!option.disabled],
+        ],
+      }, context);
+      return renderTag("label", { content: `${radio}${escapeHtml(option.label ?? option.value)}` }, context);
+    });
+    return { tag: "fieldset", element: { css, content: `${legend}${options.join("")}` } };
+  }
+
+  let control;
+  if (item.elementType === "textarea") {
+    control = {
+      tag: "textarea",
+      element: {
+        css,
+        attributes: [
+          ["name", item.name],
+          ["placeholder", field.placeholder || null],
+          ["rows", field.rows || null],
+          ["cols", field.cols || null],
+          ...getConstraintAttributes(field),
+          ["disabled", state.disabled],
+        ],
+        content: hasDefaultValue ? escapeHtml(field.defaultValue) : "",
+      },
+    };
+  } else if (item.elementType === "select") {
+    const options = (field.options || []).map((option) => renderTag("option", {
+      attributes: [
+        ["value", option.value],
+        ["selected", isDefaultValue(option.value)],
+        ["disabled", !!option.disabled],
+      ],
+      content: escapeHtml(option.label ?? option.value),
+    }, context));
+    control = {
+      tag: "select",
+      element: {
+        css,
+        attributes: [["name", item.name], ["required", !!field.required], ["disabled", state.disabled]],
+        content: options.join(""),
+      },
+    };
+  } else {
+    const isCheckbox = item.elementType === "checkbox";
+    control = {
+      tag: "input",
+      element: {
+        css,
+        attributes: [
+          ["type", isCheckbox ? "checkbox" : getInputType(field)],
+          ["name", item.name],
+          ["inputmode", !isCheckbox && field.inputMode && field.inputMode !== "none" ? field.inputMode : null],
+          ["placeholder", field.placeholder || null],
+          ["value", !isCheckbox && hasDefaultValue ? field.defaultValue : null],
+          ["checked", isCheckbox && field.defaultValue === true],
+          ...getConstraintAttributes(field),
+          ["disabled", state.disabled],
+        ],
+      },
+    };
+  }
+
+  if (!field.label) {
+    return control;
+  }
+  const labelText = renderTag("span", { css: labelCss, content: escapeHtml(field.label) }, context);
+  return { tag: "label", element: { content: `${labelText}${renderTag(control.tag, control.element, context)}` } };
+}
+
+/**
+ * Renders an element item.
+ * @param {ContentNode} item - The element item
+ * @param {{inForm: boolean, disabled: boolean}} state - Whether the element is in a form, and in an inactive one
+ * @param {Object} context - The render context
+ * @returns {{tag: string, element: Object}} The tag of the element and its element
+ */
+function renderElement(item, state, context) {
+  if (FIELD_TYPES.has(item.elementType)) {
+    return renderField(item, state, context);
+  }
+  const properties = item.data?.properties || {};
+  const css = getItemCss(item);
+  switch (item.elementType) {
+    case "button":
+      return {
+        tag: "button",
+        element: {
+          css,
+          attributes: [
+            // buttons without an action submit the form they are in
+            ["type", state.inForm && !item.data?.clickAction?.actionType ? "submit" : "button"],
+            ["disabled", state.disabled],
+          ],
+          content: escapeHtml(properties.textContent),
+        },
+      };
+    case "image":
+      return {
+        tag: "img",
+        element: {
+          css,
+          attributes: [
+            ["src", getImageSource(properties.imageUrl)],
+            ["alt", properties.imageAltText || ""],
+            ["width", properties.imageWidth || null],
+            ["height", properties.imageHeight || null],
+          ],
+        },
+      };
+    case "icon": {
+      const icon = item.data?.icon || {};
+      return {
+        tag: "span",
+        element: {
+          css,
+          attributes: [["data-icon", icon.name || ""], ["aria-hidden", "true"]],
+          content: context.renderIcon?.(icon, item) ?? "",
+        },
+      };
+    }
+    case "divider":
+      return { tag: "hr", element: { css } };
+    default:
+      return { tag: "p", element: { css, content: escapeHtml(properties.textContent) } };
+  }
+}
+
+/**
+ * Renders a content node and its children.
+ * @param {ContentNode} item - The node
+ * @param {{inForm: boolean, disabled: boolean}} state - Whether the node is in a form, and in an inactive one
+ * @param {Object} context - The render context
+ * @returns {string} The rendered node
+ */
+function renderNode(item, state, context) {
+  let tag;
+  let element;
+  if (item.type === "element") {
+    ({ tag, element } = renderElement(item, state, context));
+  } else {
+    const childState = item.type === "form"
+      ? { inForm: true, disabled: state.disabled || !isFormActive(item) }
+      : state;
+    tag = CONTAINER_TAGS[item.type] || "div";
+    element = {
+      css: getItemCss(item),
+      content: item.children.map((child) => renderNode(child, childState, context)).join(""),
+    };
+  }
+  return renderTag(tag, {
+    ...element,
+    className: [getItemClassName(item), element.className].filter(Boolean).join(" "),
+    attributes: [...(element.attributes || []), ["data-resync-item", context.hydrate ? item.itemId : null]],
+  }, context);
+}
+
+/**
+ * Renders a content view to an HTML string, without a DOM.
+ * The markup matches renderContentView: text and attributes are escaped, images keep their alt text,
+ * and form fields are labelled. The same view and options always render the same string,
+ * so the output can be used in snapshot tests.
+ * @param {ContentView|ContentViewTree} view - The content view, as returned by getContent or getContentView
+ * @param {HtmlRenderOptions} [options] - The render options
+ * @returns {string} The rendered HTML
+ * @example
+ * const html = renderContentViewToString(view, { styleMode: 'class', hydrate: true });
+ * response.send(`<div id="promo">${html}</div>`);
+ */
+export function renderContentViewToString(view, options = {}) {
+  const { styleMode = "inline", classPrefix = "resync-style-", hydrate = false, renderIcon } = options;
+  const tree = toContentTree(view);
+  const context = { styleMode, classPrefix, hydrate, renderIcon, classNames: new Map() };
+  const content = tree.children.map((child) => renderNode(child, { inForm: false, disabled: false }, context)).join("");
+  const markup = renderTag("div", {
+    className: "resync-content-view",
+    css: getRootCss(),
+    attributes: [["data-resync-view", hydrate ? tree.name ?? "" : null]],
+    content,
+  }, context);
+  if (context.classNames.size === 0) {
+    return markup;
+  }
+  // a closing tag in a style value would end the style element early
+  const rules = Array.from(context.classNames, ([declarations, className]) => `.${className} { ${declarations.replace(/</g, "\\3c ")} }`);
+  return `<style>${rules.join("\n")}</style>${markup}`;
+}
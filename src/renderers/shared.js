@@ -0,0 +1,160 @@
+/**
+ * Shared helpers for the Resync renderers
+ * Resolves what the DOM and HTML renderers render for each content item, so both produce the same markup.
+ */
+
+import { buildContentTree } from "../utils/contentTree.js";
+import { dropUnsafeDeclarations, toContainerCss, toElementCss } from "./styles.js";
+
+// Element types rendered as form fields
+export const FIELD_TYPES = new Set(["input", "select", "checkbox", "radio", "textarea"]);
+
+// Tag names of the container types
+export const CONTAINER_TAGS = {
+  section: "section",
+  list: "ul",
+  "list-item": "li",
+  form: "form",
+};
+
+// Input types for the input modes of form fields
+const INPUT_TYPES = {
+  email: "email",
+  numeric: "number",
+  decimal: "number",
+  tel: "tel",
+  url: "url",
+  search: "search",
+};
+
+// URL schemes links may open, others such as javascript: and data: are never opened
+const SAFE_URL_PROTOCOLS = new Set(["http:", "https:", "mailto:", "tel:"]);
+
+/**
+ * Resolves a content view into its tree, unless it already is one.
+ * @param {ContentView|ContentViewTree} view - The content view, as returned by getContent or getContentView
+ * @returns {ContentViewTree} The content view tree
+ */
+export function toContentTree(view) {
+  return Array.isArray(view?.children) ? view : buildContentTree(view);
+}
+
+/**
+ * Quotes a value as a CSS string, escaping the characters that would end it.
+ * @param {string} value - The value
+ * @returns {string} The quoted value, e.g. "a\22 b" for a"b
+ */
+function toCssString(value) {
+  return `"${`${value}`.replace(/[\\"\n\r\f]/g, (character) => `\\${character.charCodeAt(0).toString(16)} `)}"`;
+}
+
+/**
+ * Checks whether a link URL is safe to open: http, https, mailto or tel.
+ * Relative URLs are resolved against the page URL, where there is one.
+ * @param {string} url - The URL
+ * @returns {boolean} True if the URL can be opened
+ */
+export function isSafeUrl(url) {
+  try {
+    return SAFE_URL_PROTOCOLS.has(new URL(`${url}`, globalThis.location?.href).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Returns the source of an image, checked like links so that javascript: and other unsafe URLs are never loaded.
+ * @param {string} [url] - The image URL
+ * @returns {string} The URL, or an empty source when it is not set or not safe
+ */
+export function getImageSource(url) {
+  return url && isSafeUrl(url) ? `${url}` : "";
+}
+
+/**
+ * Returns the class name of a rendered item, e.g. resync-section or resync-button.
+ * @param {ContentItem} item - The item
+ * @returns {string} The class name
+ */
+export function getItemClassName(item) {
+  return `resync-${item.type === "element" ? item.elementType || "text" : item.type}`;
+}
+
+/**
+ * Returns the form field settings of an item, which the editor stores on its data or its properties.
+ * @param {ContentItem} item - The form field item
+ * @returns {Record<string, any>} The field settings
+ */
+export function getFieldProps(item) {
+  return { ...item.data, ...item.data?.properties };
+}
+
+/**
+ * Returns the input type of an input field.
+ * @param {Record<string, any>} field - The field settings
+ * @returns {string} The input type
+ */
+export function getInputType(field) {
+  if (field.secureTextEntry) {
+    return "password";
+  }
+  return INPUT_TYPES[field.inputMode] || "text";
+}
+
+/**
+ * Checks whether a form accepts submissions.
+ * @param {ContentItem} item - The form item
+ * @returns {boolean} True unless the form is inactive or in maintenance
+ */
+export function isFormActive(item) {
+  return item.data?.isActive !== false && (item.data?.status ?? "active") === "active";
+}
+
+/**
+ * Returns the CSS declarations of an item.
+ * Form fields are styled on their control, and lists and radio groups drop the browser styles.
+ * Declarations that could inject CSS are dropped, and the background image URL is quoted.
+ * @param {ContentItem} item - The item
+ * @returns {Object<string, string>} The CSS declarations keyed by CSS property
+ */
+export function getItemCss(item) {
+  const { styles, customStyles, backgroundImage, icon } = item.data || {};
+  let css;
+  if (item.type === "element") {
+    css = toElementCss(styles, customStyles);
+    if (item.elementType === "icon") {
+      css = {
+        ...(icon?.size ? { "font-size": `${icon.size}px` } : {}),
+        ...(icon?.color ? { color: icon.color } : {}),
+        ...css,
+      };
+    } else if (item.elementType === "radio") {
+      css = { border: "0", margin: "0", padding: "0", ...css };
+    }
+  } else {
+    const scrollOptions = item.type === "section" && item.isScrollable
+      ? item.data?.scrollOptions || { scrollType: "vertical" }
+      : null;
+    css = toContainerCss(styles, customStyles, scrollOptions);
+    if (item.type === "list") {
+      css = { "list-style": "none", margin: "0", padding: "0", ...css };
+    }
+  }
+  // icon settings are not mapped by the style helpers, and the background image is quoted below
+  css = dropUnsafeDeclarations(css);
+  if (backgroundImage) {
+    css["background-image"] = `url(${toCssString(backgroundImage)})`;
+    if (item.type !== "element") {
+      css["background-size"] = "cover";
+    }
+  }
+  return css;
+}
+
+/**
+ * Returns the CSS declarations of the element wrapping a content view.
+ * @returns {Object<string, string>} The CSS declarations keyed by CSS property
+ */
+export function getRootCss() {
+  return { display: "flex", "flex-direction": "column" };
+}
@@ -0,0 +1,179 @@
+/**
+ * Style helpers for the Resync renderers
+ * Maps the content styles of the Resync editor, which follow React Native naming,
+ * to CSS declarations shared by the DOM and HTML renderers.
+ */
+
+// Style properties whose numbers are unitless in CSS, every other number is in pixels
+const UNITLESS_PROPERTIES = new Set([
+  "opacity",
+  "flex",
+  "flexGrow",
+  "flexShrink",
+  "fontWeight",
+  "zIndex",
+  "order",
+]);
+
+// React Native resize modes and their CSS object-fit equivalent
+const OBJECT_FIT_VALUES = {
+  stretch: "fill",
+  repeat: "none",
+  center: "none",
+};
+
+// Container alignments that flexbox only supports on the main axis
+const MAIN_AXIS_ALIGNMENTS = new Set(["space-between", "space-around", "space-evenly"]);
+
+// Style properties composed or renamed by the mapper instead of being copied
+const MAPPED_PROPERTIES = new Set([
+  "boxShadowColor",
+  "boxShadowOffset",
+  "boxShadowOpacity",
+  "boxShadowRadius",
+  "objectFit",
+  "resizeMode",
+  "tintColor",
+  "customStyles",
+]);
+
+// CSS property names, custom properties included
+const CSS_PROPERTY_PATTERN = /^(--)?[a-z][a-z0-9-]*$/i;
+
+// Characters that end a declaration or a rule, so values holding them could inject more CSS
+const UNSAFE_VALUE_PATTERN = /[;{}]/;
+
+/**
+ * Converts a camelCase style property to its CSS name.
+ * @param {string} property - The style property (e.g. 'fontSize')
+ * @returns {string} The CSS property (e.g. 'font-size')
+ */
+function toCssProperty(property) {
+  if (property.startsWith("--")) {
+    return property;
+  }
+  return property.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Converts a style value to its CSS value.
+ * @param {string} property - The camelCase style property
+ * @param {string|number} value - The style value
+ * @returns {string} The CSS value
+ */
+function toCssValue(property, value) {
+  if (typeof value === "number" && !UNITLESS_PROPERTIES.has(property)) {
+    return `${value}px`;
+  }
+  return `${value}`;
+}
+
+/**
+ * Adds camelCase styles to a CSS declaration map, skipping empty values.
+ * @param {Object<string, string>} css - The CSS declarations
+ * @param {Record<string, any>} [styles] - The styles to add
+ * @returns {Object<string, string>} The CSS declarations
+ */
+function assignStyles(css, styles) {
+  Object.entries(styles || {}).forEach(([property, value]) => {
+    if (value === undefined || value === null || value === "" || typeof value === "object") {
+      return;
+    }
+    css[toCssProperty(property)] = toCssValue(property, value);
+  });
+  return css;
+}
+
+/**
+ * Drops the declarations that could inject CSS: invalid property names, and values with ';', '{' or '}'.
+ * @param {Object<string, string>} css - The CSS declarations
+ * @returns {Object<string, string>} The safe CSS declarations
+ */
+export function dropUnsafeDeclarations(css) {
+  return Object.fromEntries(
+    Object.entries(css).filter(([property, value]) => CSS_PROPERTY_PATTERN.test(property) && !UNSAFE_VALUE_PATTERN.test(value))
+  );
+}
+
+/**
+ * Maps element styles (text, buttons, images, icons and form fields) to CSS declarations.
+ * Declarations that could inject CSS are dropped.
+ * @param {ContentElementStyles} [styles] - The element styles
+ * @param {Record<string, any>} [customStyles] - Custom styles, applied last
+ * @returns {Object<string, string>} The CSS declarations keyed by CSS property
+ * @example
+ * toElementCss({ fontSize: 16, textDecorationLine: 'underline', resizeMode: 'cover' });
+ * // { 'font-size': '16px', 'text-decoration-line': 'underline', 'object-fit': 'cover' }
+ */
+export function toElementCss(styles = {}, customStyles = {}) {
+  const copiedStyles = Object.fromEntries(
+    Object.entries(styles || {}).filter(([property]) => !MAPPED_PROPERTIES.has(property))
+  );
+  const css = assignStyles({}, copiedStyles);
+
+  if (styles?.borderWidth && !styles.borderStyle) {
+    css["border-style"] = "solid";
+  }
+  const objectFit = styles?.resizeMode || styles?.objectFit;
+  if (objectFit) {
+    css["object-fit"] = OBJECT_FIT_VALUES[objectFit] || objectFit;
+  }
+  if (styles?.tintColor) {
+    css.color = styles.tintColor;
+  }
+  if (!styles?.boxShadow && styles?.boxShadowColor) {
+    const offset = styles.boxShadowOffset || "0px 0px";
+    const radius = toCssValue("boxShadowRadius", styles.boxShadowRadius ?? 0);
+    css["box-shadow"] = `${offset} ${radius} ${styles.boxShadowColor}`;
+  }
+  assignStyles(css, styles?.customStyles);
+  return dropUnsafeDeclarations(assignStyles(css, customStyles));
+}
+
+/**
+ * Maps container styles (sections, lists, list items and forms) to CSS declarations.
+ * Containers are flexbox containers, or grids when their flexDirection is 'grid'.
+ * Declarations that could inject CSS are dropped.
+ * @param {ContainerStyles} [styles] - The container styles
+ * @param {Record<string, any>} [customStyles] - Custom styles, applied last
+ * @param {{scrollType?: 'vertical'|'horizontal'}|null} [scrollOptions] - Scroll options of scrollable sections
+ * @returns {Object<string, string>} The CSS declarations keyed by CSS property
+ * @example
+ * toContainerCss({ flexDirection: 'row', alignItems: 'center', gap: 8 });
+ * // { display: 'flex', 'flex-direction': 'row', 'align-items': 'center', gap: '8px' }
+ */
+export function toContainerCss(styles = {}, customStyles = {}, scrollOptions = null) {
+  const { flexDirection, alignItems, justifyContent, ...rest } = styles || {};
+  const css = {};
+  if (flexDirection === "grid") {
+    css.display = "grid";
+  } else {
+    css.display = "flex";
+    css["flex-direction"] = flexDirection || "column";
+  }
+  if (alignItems) {
+    // space-* values only exist on the main axis, where they replace the justification
+    if (MAIN_AXIS_ALIGNMENTS.has(alignItems)) {
+      css["justify-content"] = alignItems;
+    } else {
+      css["align-items"] = alignItems;
+    }
+  }
+  if (justifyContent) {
+    css["justify-content"] = justifyContent;
+  }
+  assignStyles(css, rest);
+
+  if (scrollOptions) {
+    if (scrollOptions.scrollType === "horizontal") {
+      css["overflow-x"] = "auto";
+      if (css.display === "flex") {
+        css["flex-direction"] = "row";
+        css["flex-wrap"] = "nowrap";
+      }
+    } else {
+      css["overflow-y"] = "auto";
+    }
+  }
+  return dropUnsafeDeclarations(assignStyles(css, customStyles));
+}
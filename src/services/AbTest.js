@@ -1,119 +1,687 @@
-import { configService } from "../core/ConfigService.js";
-import ResyncCache from "../core/ResyncCache.js";
-import { weightedRolloutTemplate } from "../templates/AbSystemTemplate.js";
-import { API_CONFIG, ERROR_MESSAGES, LOG_TYPES, RETRY_CONFIG, TIMING_CONFIG } from "../utils/constants.js";
+import {
+  epsilonGreedyTemplate,
+  findCampaignVariant,
+  getCampaignVariants,
+  getControlVariant,
+  isInHoldout,
+  isInLayer,
+  isInRollout,
+  systemTemplates,
+} from "../templates/AbSystemTemplate.js";
+import { matchesAudience } from "../utils/audience.js";
+import { getScheduleStatus } from "../utils/schedule.js";
+import {
+  BACKEND_SYSTEM_TEMPLATES,
+  CAMPAIGN_SCHEDULE_STATUS,
+  ERROR_MESSAGES,
+  LOGIN_BEHAVIORS,
+  LOG_TYPES,
+  STORAGE_CONFIG,
+  SYSTEM_TEMPLATE_IDS,
+} from "../utils/constants.js";
+import { LogQueue } from "./LogQueue.js";
+
+/** @typedef {import("../core/ConfigService.js").ConfigService} ConfigService */
+/** @typedef {import("../core/ResyncCache.js").ResyncCache} ResyncCache */
+/** @typedef {import("./Transport.js").Transport} Transport */
 
 const LogType = LOG_TYPES;
 
+// Used to deduplicate conversions recorded without a conversionId
+const DEFAULT_CONVERSION_KEY = "__default__";
+
+/**
+ * Normalizes a variant returned by an assignment strategy or the backend.
+ * @param {number|CampaignVariant|{variantId?: string, contentViewId?: number, persist?: boolean}|null} result - A content view id, a variant, or a variant reference
+ * @returns {{variantId: string|null, contentViewId: number|null, persist: boolean}} The variant reference
+ */
+function toVariantReference(result) {
+  if (result !== null && typeof result === "object") {
+    return {
+      variantId: result.variantId ?? result.id ?? null,
+      contentViewId: result.contentViewId ?? null,
+      persist: result.persist ?? true,
+    };
+  }
+  return { variantId: null, contentViewId: result ?? null, persist: true };
+}
+
 /**
  * AbTest class for managing campaigns.
  * It allows for variant assignment based on campaigns and logs exposures.
  * @class
- * @param {Array} campaigns - The list of campaigns to manage.
+ * @param {{configService: ConfigService, cache: ResyncCache, transport: Transport, campaigns?: Array<Campaign>}} options - The client's config service, cache, transport and initial campaigns.
  * @description This class provides methods to get variant values for campaigns,
  * log campaign exposures, and handle logging functionality.
  * It uses the Resync for configuration and logging.
  * It also handles retry logic for fetching data and logging.
  */
-class AbTest {
-  constructor(campaigns) {
+export class AbTest {
+  constructor({ configService, cache, transport, campaigns = [] }) {
+    /**
+     * @type {ConfigService}
+     */
+    this.configService = configService;
+    /**
+     * @type {ResyncCache}
+     */
+    this.cache = cache;
+    /**
+     * @type {Transport}
+     */
+    this.transport = transport;
     /**
      * @type {Array<Campaign>}
      */
-    this.campaigns = campaigns || [];
-    this.logs = [];
-    this.retryCount = 0;
-    this.timeoutId = setInterval(() => this.flushLogs(), TIMING_CONFIG.FLUSH_INTERVAL);
+    this.campaigns = campaigns;
+    /**
+     * @type {Map<string, AssignmentStrategy>}
+     */
+    this.strategies = new Map(Object.entries(systemTemplates));
+    // variants served without being stored as the user's assignment, by campaign id
+    this.servedVariants = {};
+    // QA variant overrides by campaign name, kept in memory only
+    this.overrides = {};
+    // overrides are always allowed in the sandbox, and in production only when enabled
+    this.allowOverrides = false;
+    // exposures are only logged with trackExposure, unless auto exposure on getVariant is enabled
+    this.autoExposure = false;
+    /**
+     * @type {LogQueue}
+     */
+    this.logQueue = new LogQueue({
+      cache,
+      transport,
+      storageKey: STORAGE_CONFIG.CAMPAIGN_QUEUE_KEY,
+      endpoint: "LOG_CAMPAIGN_EVENT_BATCH",
+    });
+  }
+
+  /**
+   * Restores the log entries persisted by a previous app session and schedules them for upload.
+   * @returns {Promise<void>}
+   */
+  async restoreLogs() {
+    return this.logQueue.restoreLogs();
   }
 
   /**
    * Return the variant value and logs the execution of an campaign
    * @param {string} campaignName - The name of the campaign.
-   * @returns {Promise<number>} - The content view id of the assigned variant or null if no variants are provided
+   * @param {{full?: boolean}} [options] - Set full to get the whole variant instead of its content view id.
+   * @returns {Promise<number|CampaignVariant|null>} - The content view id of the assigned variant, or the variant when full is set, or null if no variants are provided
    * @description This method returns the variant value for the given campaign and logs the execution.
-   * It uses the campaign's assignment function if available, otherwise it uses a random assignment based on the input string.
+   * It uses the assignment strategy registered for the campaign's abTestType, the weighted rollout by default.
+   * Users outside the campaign audience, in the holdout, or in another campaign of the same layer
+   * get the control variant, without being assigned or exposed.
+   * With auto exposure, the variant is logged as an exposure once per session and user.
+   * Campaigns that have not started yet return the control, and ended campaigns return the winner or the control.
+   * QA overrides take precedence over everything else.
    */
-  async getVariant(campaignName) {
+  async getVariant(campaignName, { full = false } = {}) {
     const campaign = this.campaigns.find(
       (camp) => camp.name === campaignName
     );
     if (!campaign) {
       throw new Error(ERROR_MESSAGES.CAMPAIGN_NOT_FOUND(campaignName));
     }
+    const { variant, inExperiment } = await this.selectVariant(campaign);
+    if (this.autoExposure && inExperiment) {
+      this.exposeVariant(campaign, variant);
+    }
+    if (full) {
+      return variant;
+    }
+    return variant?.contentViewId ?? null;
+  }
+
+  /**
+   * Selects the variant of a campaign for the current user.
+   * Users only take part in the experiment, and are exposed, when the campaign is running
+   * and they are in its audience, layer and rollout, outside the holdout and not overridden.
+   * @param {Campaign} campaign - The campaign.
+   * @returns {Promise<{variant: CampaignVariant|null, inExperiment: boolean}>} The variant, null if the campaign has no variants, and whether the user takes part in the experiment
+   */
+  async selectVariant(campaign) {
+    // overridden variants are shown as is, without being assigned or logged
+    const override = this.getOverride(campaign);
+    if (override) {
+      return { variant: override, inExperiment: false };
+    }
+
+    // scheduled campaigns activate and expire on their own, without waiting for the next fetch
+    const scheduleStatus = getScheduleStatus(campaign.dateSettings, this.getCurrentTime());
+    if (scheduleStatus === CAMPAIGN_SCHEDULE_STATUS.SCHEDULED) {
+      return { variant: getControlVariant(campaign), inExperiment: false };
+    }
+    if (scheduleStatus === CAMPAIGN_SCHEDULE_STATUS.ENDED) {
+      return { variant: this.getWinningVariant(campaign) || getControlVariant(campaign), inExperiment: false };
+    }
+
+    // audience rules are evaluated locally, so targeting also works offline
+    if (!matchesAudience(campaign.audience, this.getAudienceContext())) {
+      return { variant: getControlVariant(campaign), inExperiment: false };
+    }
+
+    const userId = this.cache.getKeyValue("userId") || this.cache.getKeyValue("sessionId");
+    const assignments = this.cache.getKeyValue("campaignAssignments") || {};
+    const assignment = assignments[campaign.id];
+    // assignments carried over from an anonymous session keep the buckets of that session
+    const bucketingId = assignment?.bucketingId || userId;
+    // held out users never see a variant, and users enter at most one campaign per layer
+    if (
+      isInHoldout(this.cache.getKeyValue("holdout"), bucketingId) ||
+      !isInLayer(campaign, this.campaigns, bucketingId)
+    ) {
+      return { variant: getControlVariant(campaign), inExperiment: false };
+    }
 
     // check if user already has a variant for this campaign
-    let cachedAssignments = ResyncCache.getKeyValue("campaignAssignments") || {};
+    if (assignment) {
+      return { variant: findCampaignVariant(campaign, assignment), inExperiment: true };
+    }
+
+    // users assigned to another campaign of the layer, e.g. before logging in, stay out of this one
+    const isAssignedInLayer = campaign.layer && this.campaigns.some(
+      (other) => other.id !== campaign.id && other.layer === campaign.layer && assignments[other.id]
+    );
+    if (isAssignedInLayer) {
+      return { variant: getControlVariant(campaign), inExperiment: false };
+    }
+
+    // check if the campaign has a winner, which is served without being stored as the user's assignment
+    const winningVariant = this.getWinningVariant(campaign);
+    if (winningVariant) {
+      this.servedVariants[campaign.id] = winningVariant;
+      return { variant: winningVariant, inExperiment: true };
+    }
+
+    // users outside the rollout are not assigned, so they can join when the rollout percent is raised
+    if (!isInRollout(campaign, userId)) {
+      return { variant: getControlVariant(campaign), inExperiment: false };
+    }
+
+    return { variant: await this.assignVariant(campaign), inExperiment: true };
+  }
+
+  /**
+   * Assigns a variant with the strategy of the campaign's abTestType.
+   * @param {Campaign} campaign - The campaign.
+   * @returns {Promise<CampaignVariant|null>} The assigned variant
+   * @throws {Error} If no strategy is registered for the abTestType
+   */
+  async assignVariant(campaign) {
+    const abTestType = campaign.abTestType || SYSTEM_TEMPLATE_IDS.WEIGHTED_ROLLOUT;
+    if (abTestType === SYSTEM_TEMPLATE_IDS.BANDIT_EPSILON_GREEDY) {
+      return this.handleBanditStrategy(campaign);
+    }
+    if (BACKEND_SYSTEM_TEMPLATES.includes(abTestType)) {
+      return this.handleBackendStrategy(campaign, abTestType);
+    }
+    const strategy = this.strategies.get(abTestType);
+    if (!strategy) {
+      throw new Error(ERROR_MESSAGES.UNKNOWN_SYSTEM_FUNCTION(abTestType));
+    }
+    return this.handleLocalStrategy(campaign, strategy);
+  }
+
+  /**
+   * Logs that the user was exposed to the variant of a campaign, e.g. once it is rendered.
+   * Exposures are logged once per variant, session and user, whatever the assignment path.
+   * Users who don't take part in the experiment, e.g. outside its audience or overridden, are not exposed.
+   * @param {string} campaignName - The name of the campaign.
+   * @returns {Promise<boolean>} - True if the exposure was logged, false if it was skipped or already logged.
+   * @example
+   * trackExposure("checkout_button");
+   */
+  async trackExposure(campaignName) {
+    const campaign = this.campaigns.find(
+      (camp) => camp.name === campaignName
+    );
+    if (!campaign) {
+      throw new Error(ERROR_MESSAGES.CAMPAIGN_NOT_FOUND(campaignName));
+    }
+    // a bandit arm is pulled on every selection, so the arm already shown is exposed instead
+    const servedArm = campaign.abTestType === SYSTEM_TEMPLATE_IDS.BANDIT_EPSILON_GREEDY
+      ? this.servedVariants[campaign.id]
+      : null;
+    const { variant, inExperiment } = servedArm && !this.getOverride(campaign)
+      ? { variant: servedArm, inExperiment: true }
+      : await this.selectVariant(campaign);
+    if (!inExperiment) {
+      return false;
+    }
+    return this.exposeVariant(campaign, variant);
+  }
+
+  /**
+   * Returns the variants already exposed in the current session, by campaign id.
+   * Exposures are cached with the session and user they were logged for, so they survive app restarts
+   * and start over when the session or the user changes.
+   * @returns {{[campaignId: string]: string[]}} The exposed variant keys by campaign id
+   */
+  getExposures() {
+    const exposures = this.cache.getKeyValue("exposures");
+    const sessionId = this.cache.getKeyValue("sessionId");
+    const userId = this.cache.getKeyValue("userId") || null;
+    if (!exposures || exposures.sessionId !== sessionId || exposures.userId !== userId) {
+      return {};
+    }
+    return exposures.variants || {};
+  }
+
+  /**
+   * Logs an exposure to a variant, unless it was already logged for this session and user.
+   * @param {Campaign} campaign - The campaign.
+   * @param {CampaignVariant|null} variant - The variant shown to the user.
+   * @returns {Promise<boolean>} True if the exposure was logged, false if it was already logged
+   */
+  async exposeVariant(campaign, variant) {
+    if (!variant) {
+      return false;
+    }
+    const variantKey = `${variant.id ?? variant.contentViewId}`;
+    const variants = this.getExposures();
+    const exposedVariants = variants[campaign.id] || [];
+    if (exposedVariants.includes(variantKey)) {
+      return false;
+    }
+    this.cache.saveKeyValue("exposures", {
+      sessionId: this.cache.getKeyValue("sessionId"),
+      userId: this.cache.getKeyValue("userId") || null,
+      variants: { ...variants, [campaign.id]: [...exposedVariants, variantKey] },
+    });
+    await this.logCampaign(campaign.id, variant.contentViewId, LogType.IMPRESSION, {
+      variantId: variant.id,
+      timestamp: new Date().toISOString(),
+    });
+    return true;
+  }
 
-    if (cachedAssignments[campaign.id]) {
-      const assignment = cachedAssignments[campaign.id];
-      // No need to log again, just return the variant value
-      return assignment.contentViewId;
+  /**
+   * Returns the winning variant of a campaign, if one was picked.
+   * @param {Campaign} campaign - The campaign.
+   * @returns {CampaignVariant|null} The winning variant or null
+   */
+  getWinningVariant(campaign) {
+    if (!campaign.winningVariantId && !campaign.winningContentId) {
+      return null;
+    }
+    return findCampaignVariant(campaign, {
+      variantId: campaign.winningVariantId ?? null,
+      contentViewId: campaign.winningContentId ?? null,
+    });
+  }
+
+  /**
+   * Registers an assignment strategy that runs on the device for campaigns with the given abTestType.
+   * @param {string} type - The abTestType the strategy handles
+   * @param {AssignmentStrategy} strategy - The assignment function
+   * @throws {Error} If the type is not a string, the strategy is not a function or the type is a system template
+   * @example
+   * abTest.registerStrategy("us-first", (campaign, { attributes }) =>
+   *   attributes.country === "US" ? campaign.variantAContentId : campaign.controlContentId
+   * );
+   */
+  registerStrategy(type, strategy) {
+    if (typeof type !== "string" || !type) {
+      throw new Error(ERROR_MESSAGES.STRATEGY_TYPE_MUST_BE_STRING);
+    }
+    if (typeof strategy !== "function") {
+      throw new Error(ERROR_MESSAGES.STRATEGY_MUST_BE_FUNCTION);
+    }
+    if (Object.values(SYSTEM_TEMPLATE_IDS).includes(type)) {
+      throw new Error(ERROR_MESSAGES.SYSTEM_STRATEGY_OVERRIDE(type));
     }
+    this.strategies.set(type, strategy);
+  }
 
-    // check if the campaign has a winning content id
-    if (campaign.winningContentId) {
-      return campaign.winningContentId;
+  /**
+   * Returns the context assignment strategies are called with.
+   * @returns {AssignmentContext} The assignment context
+   */
+  getAssignmentContext() {
+    const sessionId = this.cache.getKeyValue("sessionId");
+    return {
+      userId: this.cache.getKeyValue("userId") || sessionId,
+      sessionId,
+      attributes: this.getAudienceContext(),
+      now: this.getCurrentTime(),
+    };
+  }
+
+  /**
+   * Assigns a variant with an assignment strategy that runs on the device.
+   * @param {Campaign} campaign - The campaign.
+   * @param {AssignmentStrategy} strategy - The assignment strategy.
+   * @returns {Promise<CampaignVariant|null>} The assigned variant
+   */
+  async handleLocalStrategy(campaign, strategy) {
+    let result;
+    try {
+      result = await strategy(campaign, this.getAssignmentContext());
+    } catch (error) {
+      console.error(ERROR_MESSAGES.FAILED_ASSIGN_VARIANT(campaign.name), error);
+      return getControlVariant(campaign);
     }
+    const { persist, ...reference } = toVariantReference(result);
+    const variant = findCampaignVariant(campaign, reference);
+    this.saveServedVariant(campaign, variant, persist);
+    return variant;
+  }
 
-    // check if the function is a system template
-    if (campaign.abTestType === "round-robin") {
-      // that should be executed in the backend
-      try {
-        const { apiUrl, appId, apiKey } = configService.getApiConfig();
-        const postData = JSON.stringify({
+  /**
+   * Assigns a variant with a system template that runs in the backend.
+   * Falls back to the control when the backend can't be reached.
+   * @param {Campaign} campaign - The campaign.
+   * @param {string} abTestType - The system template id.
+   * @returns {Promise<CampaignVariant|null>} The assigned variant
+   */
+  async handleBackendStrategy(campaign, abTestType) {
+    const endpoint = abTestType === SYSTEM_TEMPLATE_IDS.ROUND_ROBIN ? "GET_ROUND_ROBIN_VARIANT" : "SYSTEM_VARIANT";
+    let variant = null;
+    try {
+      const response = await this.transport.request(endpoint, {
+        body: {
           campaignId: campaign.id,
-          userId: ResyncCache.getKeyValue("userId"),
-          sessionId: ResyncCache.getKeyValue("sessionId"),
-          client: ResyncCache.getKeyValue("client"),
-          metadata: ResyncCache.getKeyValue("attributes"),
-          environment: configService.getEnvironment(),
-        });
-        const response = await fetch(`${apiUrl}${appId}${API_CONFIG.ENDPOINTS.GET_ROUND_ROBIN_VARIANT}`, {
-          method: "POST",
-          headers: {
-            "x-api-key": apiKey,
-            "Content-Type": API_CONFIG.HEADERS.CONTENT_TYPE,
-          },
-          body: postData,
-        });
-        if (response.ok) {
-          // data should be a content view id
-          const contentViewId = await response.json();
-          // store the variant in the cache
-          cachedAssignments[campaign.id] = {
-            contentViewId,
-            campaignId: campaign.id,
-          };
-          ResyncCache.saveKeyValue("campaignAssignments", cachedAssignments);
-          // return the content view id
-          return contentViewId;
-        } else {
-          console.error("Failed to fetch system variant:", response.statusText);
-          cachedAssignments[campaign.id] = {
-            contentViewId: campaign.controlContentId,
-            campaignId: campaign.id,
-          };
-          ResyncCache.saveKeyValue("campaignAssignments", cachedAssignments);
-          return campaign.controlContentId;
-        }
-      } catch (error) {
-        console.error("Failed to fetch system variant:", error);
-        cachedAssignments[campaign.id] = {
-          contentViewId: campaign.controlContentId,
+          abTestType,
+          userId: this.cache.getKeyValue("userId"),
+          sessionId: this.cache.getKeyValue("sessionId"),
+          client: this.cache.getKeyValue("client"),
+          metadata: this.cache.getKeyValue("attributes"),
+          environment: this.configService.getEnvironment(),
+        },
+      });
+      if (response.ok) {
+        // data should be a content view id, or a variant
+        variant = findCampaignVariant(campaign, toVariantReference(response.data));
+      } else {
+        console.error(ERROR_MESSAGES.FAILED_FETCH_SYSTEM_VARIANT, response.statusText);
+        variant = getControlVariant(campaign);
+      }
+    } catch (error) {
+      console.error(ERROR_MESSAGES.FAILED_FETCH_SYSTEM_VARIANT, error);
+      variant = getControlVariant(campaign);
+    }
+    // store the variant in the cache
+    const cachedAssignments = this.cache.getKeyValue("campaignAssignments") || {};
+    cachedAssignments[campaign.id] = {
+      contentViewId: variant?.contentViewId ?? null,
+      variantId: variant?.id ?? null,
+      campaignId: campaign.id,
+    };
+    this.cache.saveKeyValue("campaignAssignments", cachedAssignments);
+    return variant;
+  }
+
+  /**
+   * Checks whether variant overrides are allowed.
+   * @returns {boolean} True in the sandbox environment or when overrides are enabled
+   */
+  canOverride() {
+    return this.allowOverrides || this.configService.getEnvironment() === "sandbox";
+  }
+
+  /**
+   * Forces the variant of a campaign for QA.
+   * The override takes precedence over assignments, and is never logged or stored.
+   * @param {string} campaignName - The name of the campaign.
+   * @param {number|string} variant - The content view id, or the variant id, to show.
+   * @returns {boolean} - True if the override was set, false if overrides are not allowed.
+   * @throws {Error} - If the variant is not a content view id or a variant id.
+   * @example
+   * setOverride("checkout_button", 12);
+   */
+  setOverride(campaignName, variant) {
+    if (typeof variant !== "number" && (typeof variant !== "string" || !variant)) {
+      throw new Error(ERROR_MESSAGES.OVERRIDE_MUST_BE_VARIANT(campaignName));
+    }
+    if (!this.canOverride()) {
+      console.warn(ERROR_MESSAGES.OVERRIDES_NOT_ALLOWED);
+      return false;
+    }
+    this.overrides[campaignName] = variant;
+    return true;
+  }
+
+  /**
+   * Forces the variants of several campaigns for QA.
+   * @param {{[campaignName: string]: number|string}} overrides - The content view id or variant id by campaign name.
+   * @returns {boolean} - True if the overrides were set, false if overrides are not allowed.
+   */
+  setOverrides(overrides) {
+    const entries = Object.entries(overrides || {});
+    if (entries.length === 0) {
+      return true;
+    }
+    return entries.every(([campaignName, variant]) => this.setOverride(campaignName, variant));
+  }
+
+  /**
+   * Removes all variant overrides.
+   * @returns {void}
+   */
+  clearOverrides() {
+    this.overrides = {};
+  }
+
+  /**
+   * Returns the overridden variant of a campaign.
+   * Numbers are content view ids. Strings are matched against the variant ids first, so numeric variant ids
+   * such as the default '0' and '1' can be targeted, and then against the content view ids.
+   * Overrides that match no variant are dropped with a warning.
+   * @param {Campaign} campaign - The campaign.
+   * @returns {CampaignVariant|null} The overridden variant or null if the campaign is not overridden
+   */
+  getOverride(campaign) {
+    const override = this.overrides[campaign.name];
+    if (override === undefined || !this.canOverride()) {
+      return null;
+    }
+    const variants = getCampaignVariants(campaign);
+    const variant =
+      (typeof override === "string" && variants.find((v) => `${v.id}` === override)) ||
+      variants.find((v) => `${v.contentViewId}` === `${override}`);
+    if (!variant) {
+      console.warn(ERROR_MESSAGES.OVERRIDE_VARIANT_NOT_FOUND(campaign.name, override));
+      delete this.overrides[campaign.name];
+      return null;
+    }
+    return variant;
+  }
+
+  /**
+   * Saves the assignments fetched from the backend. Server assignments win over the local ones,
+   * but keep the bucketing id of the assignments carried over on login, which the backend does not return.
+   * Local assignments are kept for the campaigns the server has not assigned yet.
+   * @param {{[campaignId: string]: CampaignAssignment}} [serverAssignments] - The fetched assignments
+   * @returns {void}
+   */
+  mergeAssignments(serverAssignments) {
+    const assignments = { ...this.cache.getKeyValue("campaignAssignments") };
+    Object.entries(serverAssignments || {}).forEach(([campaignId, assignment]) => {
+      const bucketingId = assignments[campaignId]?.bucketingId ?? assignment.bucketingId;
+      assignments[campaignId] = {
+        ...assignments[campaignId],
+        ...assignment,
+        ...(bucketingId ? { bucketingId } : {}),
+      };
+    });
+    this.cache.saveKeyValue("campaignAssignments", assignments);
+  }
+
+  /**
+   * Keeps the assignments and conversions of the anonymous session when the user logs in.
+   * Assignments of sticky campaigns, the default, carry over to the user id and keep the
+   * buckets of the session. Campaigns with the rebucket login behavior drop them,
+   * so the user is assigned again by user id. Campaigns first assigned after login are bucketed by user id.
+   * @returns {{[campaignId: string]: CampaignAssignment}} The assignments carried over to the user
+   * @example
+   * // the visitor saw variant A before signing up, and still sees it after logging in
+   * const assignments = abTest.carryOverAssignments();
+   */
+  carryOverAssignments() {
+    const sessionId = this.cache.getKeyValue("sessionId");
+    const isSticky = (campaignId) => {
+      const campaign = this.campaigns.find((camp) => `${camp.id}` === `${campaignId}`);
+      return campaign?.loginBehavior !== LOGIN_BEHAVIORS.REBUCKET;
+    };
+    const assignments = {};
+    Object.entries(this.cache.getKeyValue("campaignAssignments") || {})
+      .filter(([campaignId]) => isSticky(campaignId))
+      .forEach(([campaignId, assignment]) => {
+        assignments[campaignId] = { ...assignment, bucketingId: assignment.bucketingId || sessionId };
+      });
+    const conversions = Object.fromEntries(
+      Object.entries(this.cache.getKeyValue("campaignConversions") || {})
+        .filter(([campaignId]) => assignments[campaignId])
+    );
+    this.cache.saveKeyValue("campaignAssignments", assignments);
+    this.cache.saveKeyValue("campaignConversions", conversions);
+    return assignments;
+  }
+
+  /**
+   * Forgets the variants served without an assignment, e.g. when the user changes.
+   * @returns {void}
+   */
+  clearServedVariants() {
+    this.servedVariants = {};
+  }
+
+  /**
+   * Forgets the exposures already logged, e.g. when the user logs in, so they are logged again for the user.
+   * @returns {void}
+   */
+  clearExposures() {
+    this.cache.saveKeyValue("exposures", null);
+  }
+
+  /**
+   * Pulls an arm of a bandit campaign. Every call asks the backend for an arm, which is not stored
+   * as the user's assignment, so the backend can shift traffic to the best arm as rewards come in.
+   * When the backend can't be reached, the arm is picked locally with epsilon-greedy over the cached arm stats.
+   * The arm is kept in memory, so the next conversion rewards it.
+   * @param {Campaign} campaign - The bandit campaign.
+   * @returns {Promise<CampaignVariant|null>} The pulled arm
+   */
+  async handleBanditStrategy(campaign) {
+    try {
+      const response = await this.transport.request("SYSTEM_VARIANT", {
+        body: {
           campaignId: campaign.id,
-        };
-        ResyncCache.saveKeyValue("campaignAssignments", cachedAssignments);
-        return campaign.controlContentId;
+          abTestType: SYSTEM_TEMPLATE_IDS.BANDIT_EPSILON_GREEDY,
+          userId: this.cache.getKeyValue("userId"),
+          sessionId: this.cache.getKeyValue("sessionId"),
+          client: this.cache.getKeyValue("client"),
+          metadata: this.cache.getKeyValue("attributes"),
+          environment: this.configService.getEnvironment(),
+        },
+      });
+      if (response.ok && response.data !== null) {
+        const arm = findCampaignVariant(campaign, toVariantReference(response.data));
+        this.servedVariants[campaign.id] = arm;
+        return arm;
       }
+      console.error(ERROR_MESSAGES.FAILED_FETCH_SYSTEM_VARIANT, response.statusText);
+    } catch (error) {
+      console.error(ERROR_MESSAGES.FAILED_FETCH_SYSTEM_VARIANT, error);
+    }
+    const arm = epsilonGreedyTemplate(campaign);
+    if (arm) {
+      this.servedVariants[campaign.id] = arm;
+    }
+    return arm;
+  }
+
+  /**
+   * Records the variant served to the user.
+   * Persisted variants become the user's assignment. Variants that are not persisted
+   * are kept in memory for conversions.
+   * @param {Campaign} campaign - The campaign.
+   * @param {CampaignVariant|null} variant - The served variant.
+   * @param {boolean} persist - Whether the variant is the user's assignment.
+   * @returns {void}
+   */
+  saveServedVariant(campaign, variant, persist) {
+    if (!variant) {
+      return;
+    }
+    if (persist) {
+      const cachedAssignments = this.cache.getKeyValue("campaignAssignments") || {};
+      cachedAssignments[campaign.id] = {
+        contentViewId: variant.contentViewId,
+        variantId: variant.id,
+        campaignId: campaign.id,
+      };
+      this.cache.saveKeyValue("campaignAssignments", cachedAssignments);
     } else {
-      return this.handleWeightedRollout(campaign);
+      this.servedVariants[campaign.id] = variant;
+    }
+  }
+
+  /**
+   * Checks whether a feature flag is enabled for the current user.
+   * Users are bucketed deterministically by user id, or session id for anonymous users,
+   * and the flag is enabled for the users whose bucket is below the rollout percent.
+   * @param {string} flagName - The name of the feature flag campaign.
+   * @returns {boolean} - True if the flag is enabled for the user.
+   * @example
+   * // With rolloutPercent 20, about 20% of the users get true
+   * isFeatureEnabled("new-checkout");
+   */
+  isFeatureEnabled(flagName) {
+    const campaign = this.campaigns.find(
+      (camp) => camp.name === flagName
+    );
+    if (!campaign) {
+      console.warn(ERROR_MESSAGES.FEATURE_FLAG_NOT_FOUND(flagName));
+      return false;
+    }
+    const scheduleStatus = getScheduleStatus(campaign.dateSettings, this.getCurrentTime());
+    if (scheduleStatus !== CAMPAIGN_SCHEDULE_STATUS.ACTIVE) {
+      return false;
     }
+    if (!matchesAudience(campaign.audience, this.getAudienceContext())) {
+      return false;
+    }
+    const userId = this.cache.getKeyValue("userId") || this.cache.getKeyValue("sessionId");
+    return isInRollout(campaign, userId);
   }
 
   setCampaigns(campaigns) {
     this.campaigns = campaigns;
   }
 
+  /**
+   * Returns the current time, corrected by the clock offset measured against the server on the last fetch.
+   * The time never goes back before the last fetch, so moving the device clock back does not restart ended campaigns.
+   * @returns {number} The current time in milliseconds
+   */
+  getCurrentTime() {
+    const clockOffset = this.cache.getKeyValue("clockOffset") || 0;
+    const lastFetchTimestamp = this.cache.getKeyValue("lastFetchTimestamp");
+    const lastFetchTime = lastFetchTimestamp ? new Date(lastFetchTimestamp).getTime() + clockOffset : 0;
+    return Math.max(Date.now() + clockOffset, lastFetchTime || 0);
+  }
+
+  /**
+   * Builds the targeting context audience rules are evaluated against,
+   * from the user returned by the API and the attributes set on this device.
+   * @returns {AudienceContext} The targeting context
+   */
+  getAudienceContext() {
+    const user = this.cache.getKeyValue("user") || {};
+    const userAttributes = this.cache.getKeyValue("userAttributes") || {};
+    return {
+      ...user,
+      ...userAttributes,
+      userId: this.cache.getKeyValue("userId"),
+      sessionId: this.cache.getKeyValue("sessionId"),
+      attributes: { ...user.attributes, ...userAttributes.attributes },
+    };
+  }
+
   /**
    * Logs an campaign exposure.
    * @param {string} campaignId - The ID of the campaign.
@@ -128,129 +696,104 @@ class AbTest {
    * logCampaign("camp123", 123, "IMPRESSION");
    */
   async logCampaign(campaignId, contentViewId, eventType, metadata = null) {
-    const { apiKey, appId, apiUrl } = configService.getApiConfig();
     const logEntry = {
       eventType,
       campaignId,
       contentViewId,
-      sessionId: ResyncCache.getKeyValue("sessionId"),
-      userId: ResyncCache.getKeyValue("userId"),
+      sessionId: this.cache.getKeyValue("sessionId"),
+      userId: this.cache.getKeyValue("userId"),
       timestamp: new Date().toISOString(),
-      client: ResyncCache.getKeyValue("client") || '',
-      metadata: metadata || ResyncCache.getKeyValue("attributes"),
-      environment: configService.getEnvironment(),
+      client: this.cache.getKeyValue("client") || '',
+      metadata: metadata || this.cache.getKeyValue("attributes"),
+      environment: this.configService.getEnvironment(),
     };
     try {
       // Send the log entry to the backend API
-      const response = await fetch(`${apiUrl}${appId}/${campaignId}${API_CONFIG.ENDPOINTS.LOG_CAMPAIGN_EVENT}`, {
-        method: "POST",
-        headers: {
-          "x-api-key": apiKey,
-          "Content-Type": API_CONFIG.HEADERS.CONTENT_TYPE,
-        },
-        body: JSON.stringify(logEntry),
-      })
+      const response = await this.transport.request("LOG_CAMPAIGN_EVENT", {
+        campaignId,
+        body: logEntry,
+      });
       if (!response.ok) {
-        this.saveLogForLaterUpload([logEntry]);
+        this.logQueue.add([logEntry]);
       }
     } catch (error) {
-      this.saveLogForLaterUpload([logEntry]);
-    }
-  }
-
-  /** * Saves log entries for later upload.
-   * @param {Array} logEntrys - The log entries to save.
-   * @returns {void}
-   * @description This method saves log entries for later upload if the backend API is unreachable or returns an error.
-   */
-  saveLogForLaterUpload(logEntrys) {
-    // Add to logs (circular buffer for memory safety)
-    this.logs.unshift(...logEntrys);
-    if (this.logs.length > RETRY_CONFIG.MAX_LOG_BUFFER) {
-      this.logs.pop();
-    }
-    if (!this.timeoutId) {
-      this.timeoutId = setTimeout(() => this.flushLogs(), TIMING_CONFIG.FLUSH_INTERVAL);
+      this.logQueue.add([logEntry]);
     }
   }
 
   /**
-   * Flushes the logs to the backend API.
-   * @returns {Promise<void>}
-   * @throws {Error} If the backend API is unreachable or returns an error.
-   * @description This method sends the logs to the backend API for storage.
-   * If unsuccessful, it will save the logs for later upload.
+   * Records a conversion for a campaign.
+   * @param {string} campaignName - The name of the campaign.
+   * @param {ConversionOptions} [options] - The conversion options.
+   * @returns {Promise<boolean>} - True if the conversion was logged, false if it was skipped.
+   * @description The conversion is attributed to the variant served to the user: their assignment, or the winner
+   * or a variant that is not stored, e.g. of a time based campaign, served by getVariant since the app started or the user changed.
+   * Conversions of users who were served no variant, or of overridden campaigns, are skipped, and each conversion is only counted once
+   * per campaign assignment, or once per conversionId when one is provided.
+   * For bandit campaigns the conversion is the reward of the last pulled arm, and each pull is rewarded once.
+   * @example
+   * // Record a purchase conversion
+   * recordConversion("pricing-campaign", { conversionId: "order-123", value: 1, revenue: 99.99, currency: "USD" });
    */
-  async flushLogs() {
-    if (this.logs.length === 0) {
-      clearInterval(this.timeoutId);
-      this.timeoutId = null;
-      return;
+  async recordConversion(campaignName, { conversionId = null, value = null, revenue = null, currency = null, metadata = null } = {}) {
+    const campaign = this.campaigns.find(
+      (camp) => camp.name === campaignName
+    );
+    if (!campaign) {
+      throw new Error(ERROR_MESSAGES.CAMPAIGN_NOT_FOUND(campaignName));
     }
 
-    if (this.retryCount > RETRY_CONFIG.MAX_RETRIES) {
-      console.warn(ERROR_MESSAGES.TOO_MANY_RETRIES);
-      clearInterval(this.timeoutId);
-      return;
+    // overridden users don't see their real variant, so their conversions would skew the results
+    if (this.getOverride(campaign)) {
+      return false;
     }
 
-    this.retryCount++;
+    const cachedAssignments = this.cache.getKeyValue("campaignAssignments") || {};
+    const variant = cachedAssignments[campaign.id]
+      ? findCampaignVariant(campaign, cachedAssignments[campaign.id])
+      : this.servedVariants[campaign.id];
+    if (!variant) {
+      // the user never saw a variant, so there is nothing to attribute the conversion to
+      console.warn(ERROR_MESSAGES.NO_IMPRESSION_LOGGED(campaignName));
+      return false;
+    }
 
-    const batch = this.logs.splice(0, RETRY_CONFIG.BATCH_SIZE);
+    const isBandit = campaign.abTestType === SYSTEM_TEMPLATE_IDS.BANDIT_EPSILON_GREEDY;
+    // bandit pulls are rewarded once each, so only conversion ids are deduplicated across pulls
+    if (!isBandit || conversionId) {
+      const conversionKey = conversionId ? `${conversionId}` : DEFAULT_CONVERSION_KEY;
+      const conversions = this.cache.getKeyValue("campaignConversions") || {};
+      const recordedKeys = conversions[campaign.id] || [];
+      if (recordedKeys.includes(conversionKey)) {
+        console.warn(ERROR_MESSAGES.CONVERSION_ALREADY_RECORDED(campaignName, conversionId));
+        return false;
+      }
+      conversions[campaign.id] = [...recordedKeys, conversionKey];
+      this.cache.saveKeyValue("campaignConversions", conversions);
+    }
+    if (isBandit) {
+      delete this.servedVariants[campaign.id];
+    }
 
-    this.sendLogsToBackend(batch);
+    await this.logCampaign(campaign.id, variant.contentViewId, LogType.CONVERSION, {
+      ...metadata,
+      variantId: variant.id,
+      conversionId,
+      value,
+      revenue,
+      currency,
+      timestamp: new Date().toISOString(),
+    });
+    return true;
   }
 
   /**
-   * Sends a batch of log entries to the backend API.
-   * @param {Array} batchEntries - The batch of log entries to send.
+   * Stops the log flush timer.
    * @returns {void}
-   * @throws {Error} If the backend API is unreachable or returns an error.
-   * @description This method sends a batch of log entries to the backend API for storage.
-   * If unsuccessful, it will save the log entries for later upload.
    */
-  sendLogsToBackend(batchEntries) {
-    const { apiKey, appId, apiUrl } = configService.getApiConfig();
-    fetch(`${apiUrl}${appId}${API_CONFIG.ENDPOINTS.LOG_CAMPAIGN_EVENT_BATCH}`, {
-      method: "POST",
-      headers: {
-        "x-api-key": apiKey,
-        "Content-Type": API_CONFIG.HEADERS.CONTENT_TYPE,
-      },
-      body: JSON.stringify(batchEntries),
-    })
-      .then((response) => {
-        if (!response.ok) {
-          this.saveLogForLaterUpload(batchEntries);
-          return;
-        }
-        this.logs = this.logs.filter(
-          (log) => !batchEntries.some((entry) => entry.id === log.id)
-        );
-      })
-      .catch((error) => {
-        this.saveLogForLaterUpload(batchEntries);
-      });
-  }
-
-  /**
-   * Handles the system function for the campaign.
-   * @param {Campaign} campaign - The campaign to handle.
-   * @returns {number|null} The content view id of the assigned variant or null if no variants are provided
-   */
-  handleWeightedRollout(campaign) {
-    const contentViewId = weightedRolloutTemplate(campaign);
-    this.logCampaign(campaign.id, contentViewId, LogType.IMPRESSION, {
-      timestamp: new Date().toISOString(),
-    });
-    let cachedAssignments = ResyncCache.getKeyValue("campaignAssignments") || {};
-    cachedAssignments[campaign.id] = {
-      contentViewId,
-      campaignId: campaign.id,
-    };
-    ResyncCache.saveKeyValue("campaignAssignments", cachedAssignments);
-    return contentViewId;
+  destroy() {
+    this.logQueue.stop();
   }
 }
 
-export default new AbTest();
+export default AbTest;
@@ -1,6 +1,9 @@
-import { configService } from "../core/ConfigService.js";
-import ResyncCache from "../core/ResyncCache.js";
-import { API_CONFIG, ERROR_MESSAGES, RETRY_CONFIG, TIMING_CONFIG } from "../utils/constants.js";
+import { STORAGE_CONFIG } from "../utils/constants.js";
+import { LogQueue } from "./LogQueue.js";
+
+/** @typedef {import("../core/ConfigService.js").ConfigService} ConfigService */
+/** @typedef {import("../core/ResyncCache.js").ResyncCache} ResyncCache */
+/** @typedef {import("./Transport.js").Transport} Transport */
 
 // Remove duplicate constants - using from constants.js
 
@@ -10,16 +13,40 @@ import { API_CONFIG, ERROR_MESSAGES, RETRY_CONFIG, TIMING_CONFIG } from "../util
  * It uses the Resync for configuration and logging.
  * It also handles retry logic for fetching data and logging.
  * @class AppLogger
+ * @param {{configService: ConfigService, cache: ResyncCache, transport: Transport}} options - The client's config service, cache and transport.
  */
-class AppLogger {
-  constructor() {
-    this.logs = [];
-    this.retryCount = 0;
-    this.timeoutId = setInterval(() => this.flushLogs(), TIMING_CONFIG.FLUSH_INTERVAL);
+export class AppLogger {
+  constructor({ configService, cache, transport }) {
+    /**
+     * @type {ConfigService}
+     */
+    this.configService = configService;
+    /**
+     * @type {ResyncCache}
+     */
+    this.cache = cache;
+    /**
+     * @type {Transport}
+     */
+    this.transport = transport;
+    /**
+     * @type {LogQueue}
+     */
+    this.logQueue = new LogQueue({
+      cache,
+      transport,
+      storageKey: STORAGE_CONFIG.EVENT_QUEUE_KEY,
+      endpoint: "LOG_EVENTS_BATCH",
+    });
   }
 
-  // TODO: Save to storage and send on app load?
-
+  /**
+   * Restores the log entries persisted by a previous app session and schedules them for upload.
+   * @returns {Promise<void>}
+   */
+  async restoreLogs() {
+    return this.logQueue.restoreLogs();
+  }
 
   /**
    * Logs an event.
@@ -40,91 +67,24 @@ class AppLogger {
     const logEntry = {
       eventId,
       logId,
-      appId: configService.getApiConfig().appId,
-      sessionId: ResyncCache.getKeyValue("sessionId"),
-      appCustomerId: ResyncCache.getKeyValue("userId"),
+      appId: this.configService.getApiConfig().appId,
+      sessionId: this.cache.getKeyValue("sessionId"),
+      appCustomerId: this.cache.getKeyValue("userId"),
       timestamp: new Date().toISOString(),
-      client: ResyncCache.getKeyValue("client"),
-      metadata: metadata || ResyncCache.getKeyValue("attributes"),
-      environment: configService.getEnvironment(),
+      client: this.cache.getKeyValue("client"),
+      metadata: metadata || this.cache.getKeyValue("attributes"),
+      environment: this.configService.getEnvironment(),
     };
     // Send the log entry to the backend API
-    this.saveLogForLaterUpload([logEntry]);
-  }
-
-  /** * Saves log entries for later upload.
-   * @param {Array} logEntrys - The log entries to save.
-   * @returns {void}
-   * @description This method saves log entries for later upload if the backend API is unreachable or returns an error.
-   */
-  saveLogForLaterUpload(logEntrys) {
-    // Add to logs (circular buffer for memory safety)
-    this.logs.unshift(...logEntrys);
-    if (this.logs.length > RETRY_CONFIG.MAX_LOG_BUFFER) {
-      this.logs.pop();
-    }
-    if (!this.timeoutId) {
-      this.timeoutId = setTimeout(() => this.flushLogs(), TIMING_CONFIG.FLUSH_INTERVAL);
-    }
-  }
-
-  /**
-   * Flushes the logs to the backend API.
-   * @returns {Promise<void>}
-   * @throws {Error} If the backend API is unreachable or returns an error.
-   * @description This method sends the logs to the backend API for storage.
-   * If unsuccessful, it will save the logs for later upload.
-   */
-  async flushLogs() {
-    if (this.logs.length === 0) {
-      clearInterval(this.timeoutId);
-      this.timeoutId = null;
-      return;
-    }
-
-    if (this.retryCount > RETRY_CONFIG.MAX_RETRIES) {
-      console.warn(ERROR_MESSAGES.TOO_MANY_RETRIES);
-      clearInterval(this.timeoutId);
-      return;
-    }
-
-    this.retryCount++;
-
-    const batch = this.logs.splice(0, RETRY_CONFIG.BATCH_SIZE);
-
-    this.sendLogsToBackend(batch);
+    this.logQueue.add([logEntry]);
   }
 
   /**
-   * Sends a batch of log entries to the backend API.
-   * @param {Array} batchEntries - The batch of log entries to send.
+   * Stops the log flush timer.
    * @returns {void}
-   * @throws {Error} If the backend API is unreachable or returns an error.
-   * @description This method sends a batch of log entries to the backend API for storage.
-   * If unsuccessful, it will save the log entries for later upload.
    */
-  sendLogsToBackend(batchEntries) {
-    const { apiKey, appId, apiUrl } = configService.getApiConfig();
-    fetch(`${apiUrl}${appId}${API_CONFIG.ENDPOINTS.LOG_EVENTS_BATCH}`, {
-      method: "POST",
-      headers: {
-        "x-api-key": apiKey,
-        "Content-Type": API_CONFIG.HEADERS.CONTENT_TYPE,
-      },
-      body: JSON.stringify(batchEntries),
-    })
-      .then((response) => {
-        if (!response.ok) {
-          this.saveLogForLaterUpload(batchEntries);
-          return;
-        }
-        this.logs = this.logs.filter(
-          (log) => !batchEntries.some((entry) => entry.id === log.id)
-        );
-      })
-      .catch((error) => {
-        this.saveLogForLaterUpload(batchEntries);
-      });
+  destroy() {
+    this.logQueue.stop();
   }
 
   /**
@@ -134,19 +94,13 @@ class AppLogger {
    * @description This method sends a form data to the backend API for storage.
    */
   async submitForm(formData) {
-    const { apiKey, appId, apiUrl } = configService.getApiConfig();
-    return fetch(`${apiUrl}${appId}${API_CONFIG.ENDPOINTS.SUBMIT_FORM}`, {
-      method: "POST",
-      headers: {
-        "x-api-key": apiKey,
-        "Content-Type": API_CONFIG.HEADERS.CONTENT_TYPE,
-      },
-      body: JSON.stringify({
+    return this.transport.request("SUBMIT_FORM", {
+      body: {
         ...formData,
-        sessionId: ResyncCache.getKeyValue("sessionId"),
-        userId: ResyncCache.getKeyValue("userId"),
-        environment: configService.getEnvironment(),
-      }),
+        sessionId: this.cache.getKeyValue("sessionId"),
+        userId: this.cache.getKeyValue("userId"),
+        environment: this.configService.getEnvironment(),
+      },
     })
     .then((response) => {
       if (response.ok) {
@@ -160,4 +114,4 @@ class AppLogger {
   }
 }
 
-export default new AppLogger();
+export default AppLogger;
@@ -1,6 +1,8 @@
-import { configService } from "../core/ConfigService.js";
-import ResyncCache from "../core/ResyncCache.js";
-import { API_CONFIG, RETRY_CONFIG } from "../utils/constants.js";
+import { RETRY_CONFIG } from "../utils/constants.js";
+
+/** @typedef {import("../core/ConfigService.js").ConfigService} ConfigService */
+/** @typedef {import("../core/ResyncCache.js").ResyncCache} ResyncCache */
+/** @typedef {import("./Transport.js").Transport} Transport */
 
 /**
  * ConfigFetch class for fetching application configurations and user variants from the Resync API.
@@ -8,15 +10,29 @@ import { API_CONFIG, RETRY_CONFIG } from "../utils/constants.js";
  * 
  * @class ConfigFetch
  * @example
- * const fetcher = new ConfigFetch();
+ * const fetcher = new ConfigFetch({ configService, cache, transport });
  * const config = await fetcher.fetchAppConfig();
  */
-class ConfigFetch {
+export class ConfigFetch {
   /**
    * Creates a new ConfigFetch instance.
    * @constructor
+   * @param {{configService: ConfigService, cache: ResyncCache, transport: Transport}} options - The client's config service, cache and transport.
    */
-  constructor() {}
+  constructor({ configService, cache, transport }) {
+    /**
+     * @type {ConfigService}
+     */
+    this.configService = configService;
+    /**
+     * @type {ResyncCache}
+     */
+    this.cache = cache;
+    /**
+     * @type {Transport}
+     */
+    this.transport = transport;
+  }
 
   /**
    * Validates that required environment variables are set.
@@ -24,7 +40,7 @@ class ConfigFetch {
    * @private
    */
   validateEnv() {
-    configService.validateConfig();
+    this.configService.validateConfig();
   }
 
   /**
@@ -40,9 +56,6 @@ class ConfigFetch {
   async fetchAppConfig() {
     const numOfRetries = RETRY_CONFIG.MAX_RETRIES;
     const retryDelay = RETRY_CONFIG.RETRY_DELAY;
-    const { appId, apiUrl, apiKey } = configService.getApiConfig();
-    let path = `${appId}${API_CONFIG.ENDPOINTS.APP_DATA}`;
-
     this.validateEnv();
 
     /**
@@ -53,25 +66,17 @@ class ConfigFetch {
      */
     const fetchData = async () => {
       try {
-        const environment = configService.getEnvironment();
-        const userId = ResyncCache.getKeyValue("userId") // user has been set
-        const sessionId = ResyncCache.getKeyValue("sessionId"); // for no user data
-        const body = userId ? JSON.stringify({ userId, environment }) : JSON.stringify({ environment, sessionId });
-        const response = await fetch(`${apiUrl}${path}`, {
-          method: "POST",
-          headers: {
-            "x-api-key": apiKey,
-            "Content-Type": API_CONFIG.HEADERS.CONTENT_TYPE
-          },
-          body,
-        });
+        const environment = this.configService.getEnvironment();
+        const userId = this.cache.getKeyValue("userId") // user has been set
+        const sessionId = this.cache.getKeyValue("sessionId"); // for no user data
+        const body = userId ? { userId, environment } : { environment, sessionId };
+        const response = await this.transport.request("APP_DATA", { body });
 
         if (!response.ok) {
           throw new Error(`Failed to fetch app config: ${response.status} ${response.statusText}`);
         }
 
-        const data = await response.json();
-        return data;
+        return response.data;
       } catch (error) {
         throw error; // Re-throw the error to handle it in the retry logic
       }
@@ -95,17 +100,14 @@ class ConfigFetch {
       }
     }
   }
+  /**
+   * Registers the logged in user with the Resync API.
+   * @param {Object} body - The user id, app id and user metadata
+   * @returns {Promise<boolean>} True if the request succeeded, false otherwise
+   */
   async logInUser(body) {
     try {
-      const { appId, apiKey } = configService.getApiConfig();
-      const response = await fetch(`${API_CONFIG.DEFAULT_URL}${appId}${API_CONFIG.ENDPOINTS.CUSTOMER}`, {
-        method: "POST",
-        headers: {
-          "x-api-key": apiKey,
-          "Content-Type": API_CONFIG.HEADERS.CONTENT_TYPE,
-        },
-        body,
-      });
+      const response = await this.transport.request("CUSTOMER", { body });
 
       if (!response.ok) {
         return false;
@@ -115,26 +117,23 @@ class ConfigFetch {
       return false;
     }
   }
+  /**
+   * Updates the attributes of the logged in user.
+   * @param {Object} body - The user id, app id and user attributes
+   * @returns {Promise<boolean>} True if the request succeeded, false otherwise
+   */
   async setUserAttributesData(body) {
       try {
-        const { appId, apiKey } = configService.getApiConfig();
-        const response = await fetch(`${API_CONFIG.DEFAULT_URL}${appId}${API_CONFIG.ENDPOINTS.CUSTOMER}`, {
-          method: "PATCH",
-          headers: {
-            "x-api-key": apiKey,
-            "Content-Type": API_CONFIG.HEADERS.CONTENT_TYPE,
-          },
-          body,
-        });
+        const response = await this.transport.request("CUSTOMER", { method: "PATCH", body });
 
         if (!response.ok) {
           return false;
         }
         // update local user
-        const oldUser = ResyncCache.getKeyValue("user");
+        const oldUser = this.cache.getKeyValue("user");
         if (oldUser) {
-          const attributes = JSON.parse(body).attributes;
-          ResyncCache.saveKeyValue("user", {
+          const attributes = body.attributes;
+          this.cache.saveKeyValue("user", {
             ...oldUser,
             attributes: {
               ...oldUser.attributes,
@@ -149,4 +148,4 @@ class ConfigFetch {
   }
 }
 
-export default new ConfigFetch();
\ No newline at end of file
+export default ConfigFetch;
\ No newline at end of file
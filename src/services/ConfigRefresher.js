@@ -0,0 +1,161 @@
+import { getBackoffDelay } from "../utils/backoff.js";
+import { ERROR_MESSAGES, TIMING_CONFIG } from "../utils/constants.js";
+
+/**
+ * ConfigRefresher class for refreshing the app configuration in the background.
+ * It polls once the refresh interval expires, refreshes when the app comes back to the
+ * foreground (tab visibility change on the web, AppState on React Native) if the data is stale,
+ * and backs off exponentially while refreshes fail.
+ *
+ * @class ConfigRefresher
+ * @example
+ * const refresher = new ConfigRefresher({
+ *   refresh: () => loadAppConfig(),
+ *   interval: 60 * 60 * 1000,
+ * });
+ * refresher.start();
+ */
+export class ConfigRefresher {
+  /**
+   * Creates a new ConfigRefresher instance.
+   * @constructor
+   * @param {{refresh: function(): Promise<boolean>} & AutoRefreshOptions} options - The refresh function, resolving to true on success, and the refresh options
+   */
+  constructor({
+    refresh,
+    interval = TIMING_CONFIG.DEFAULT_TTL,
+    maxBackoff = TIMING_CONFIG.MAX_REFRESH_BACKOFF,
+    refreshOnForeground = true,
+    appState = null,
+  }) {
+    if (typeof interval !== "number" || interval <= 0) {
+      throw new Error(ERROR_MESSAGES.REFRESH_INTERVAL_MUST_BE_POSITIVE);
+    }
+    this.refresh = refresh;
+    // guard against polling in a tight loop, e.g. with the sandbox ttl of 0
+    this.interval = Math.max(interval, TIMING_CONFIG.MIN_REFRESH_INTERVAL);
+    this.maxBackoff = Math.max(maxBackoff, this.interval);
+    this.refreshOnForeground = refreshOnForeground;
+    this.appState = appState;
+    this.failureCount = 0;
+    this.lastRefreshTimestamp = Date.now();
+    this.isRefreshing = false;
+    this.timeoutId = null;
+    this.removeForegroundListener = null;
+  }
+
+  /**
+   * Starts polling and listening for the app coming to the foreground.
+   * @returns {void}
+   */
+  start() {
+    this.stop();
+    this.lastRefreshTimestamp = Date.now();
+    this.scheduleRefresh(this.interval);
+    if (this.refreshOnForeground) {
+      this.removeForegroundListener = this.addForegroundListener(() => this.handleForeground());
+    }
+  }
+
+  /**
+   * Stops polling and removes the foreground listener.
+   * @returns {void}
+   */
+  stop() {
+    clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+    if (this.removeForegroundListener) {
+      this.removeForegroundListener();
+      this.removeForegroundListener = null;
+    }
+  }
+
+  /**
+   * Schedules the next refresh.
+   * @param {number} delay - The delay in milliseconds
+   * @returns {void}
+   */
+  scheduleRefresh(delay) {
+    clearTimeout(this.timeoutId);
+    this.timeoutId = setTimeout(() => this.runRefresh(), delay);
+  }
+
+  /**
+   * Refreshes the app configuration and schedules the next refresh,
+   * backing off exponentially after failures.
+   * @returns {Promise<void>}
+   */
+  async runRefresh() {
+    if (this.isRefreshing) {
+      return;
+    }
+    this.isRefreshing = true;
+    let succeeded = false;
+    try {
+      succeeded = await this.refresh();
+    } catch (error) {
+      succeeded = false;
+    }
+    this.isRefreshing = false;
+
+    if (succeeded) {
+      this.failureCount = 0;
+      this.lastRefreshTimestamp = Date.now();
+      this.scheduleRefresh(this.interval);
+    } else {
+      this.failureCount++;
+      this.scheduleRefresh(
+        getBackoffDelay(this.failureCount, TIMING_CONFIG.REFRESH_RETRY_DELAY, this.maxBackoff)
+      );
+    }
+  }
+
+  /**
+   * Refreshes right away when the app comes to the foreground with stale data.
+   * @returns {void}
+   */
+  handleForeground() {
+    const isStale = Date.now() - this.lastRefreshTimestamp >= this.interval;
+    // while backing off, wait for the scheduled retry
+    if (isStale && this.failureCount === 0) {
+      this.runRefresh();
+    }
+  }
+
+  /**
+   * Listens for the app coming to the foreground.
+   * Uses the provided React Native AppState, or the document visibility in browsers.
+   * @param {Function} onForeground - Called when the app comes to the foreground
+   * @returns {Function|null} A function that removes the listener, or null if no foreground source is available
+   */
+  addForegroundListener(onForeground) {
+    if (this.appState && typeof this.appState.addEventListener === "function") {
+      const handleChange = (state) => {
+        if (state === "active") {
+          onForeground();
+        }
+      };
+      const subscription = this.appState.addEventListener("change", handleChange);
+      return () => {
+        if (subscription && typeof subscription.remove === "function") {
+          subscription.remove();
+        } else if (typeof this.appState.removeEventListener === "function") {
+          // React Native < 0.65
+          this.appState.removeEventListener("change", handleChange);
+        }
+      };
+    }
+    if (typeof document !== "undefined" && typeof document.addEventListener === "function") {
+      const handleVisibilityChange = () => {
+        if (document.visibilityState === "visible") {
+          onForeground();
+        }
+      };
+      document.addEventListener("visibilitychange", handleVisibilityChange);
+      return () => document.removeEventListener("visibilitychange", handleVisibilityChange);
+    }
+    return null;
+  }
+}
+
+export default ConfigRefresher;
@@ -0,0 +1,197 @@
+import { getBackoffDelay } from "../utils/backoff.js";
+import { ERROR_MESSAGES, REALTIME_MESSAGE_TYPES, TIMING_CONFIG } from "../utils/constants.js";
+
+/** @typedef {import("../core/ConfigService.js").ConfigService} ConfigService */
+
+// App data slices reloaded for each message type
+const MESSAGE_SLICES = {
+  [REALTIME_MESSAGE_TYPES.CONFIG]: ["configs"],
+  [REALTIME_MESSAGE_TYPES.CONTENT]: ["content"],
+  [REALTIME_MESSAGE_TYPES.CAMPAIGNS]: ["campaigns"],
+  [REALTIME_MESSAGE_TYPES.ALL]: ["configs", "content", "campaigns"],
+};
+
+/**
+ * ConfigStream class for receiving config, content and campaign change notifications in real time.
+ * It connects to the Resync stream endpoint over Server-Sent Events or WebSocket,
+ * and reconnects with exponential backoff when the connection drops.
+ *
+ * Messages are JSON encoded `{ type, data? }` objects, where type is one of
+ * `config`, `content`, `campaigns` or `all`, and the optional data is a partial AppConfigResponse.
+ *
+ * @class ConfigStream
+ * @example
+ * const stream = new ConfigStream({
+ *   configService,
+ *   onChange: (slices, data) => refreshSlices(slices, data),
+ *   type: 'sse',
+ * });
+ * stream.connect();
+ */
+export class ConfigStream {
+  /**
+   * Creates a new ConfigStream instance.
+   * @constructor
+   * @param {{configService: ConfigService, onChange: function(string[], Object|null): void} & RealtimeOptions} options - The client's config service, the change handler and the realtime options
+   * @throws {Error} If the connection type is unknown or not supported in this environment
+   */
+  constructor({
+    configService,
+    onChange,
+    type = "sse",
+    url = null,
+    EventSource = globalThis.EventSource,
+    WebSocket = globalThis.WebSocket,
+    maxBackoff = TIMING_CONFIG.MAX_REALTIME_BACKOFF,
+    getToken = null,
+  }) {
+    if (type !== "sse" && type !== "websocket") {
+      throw new Error(ERROR_MESSAGES.UNKNOWN_REALTIME_TYPE(type));
+    }
+    const Connection = type === "sse" ? EventSource : WebSocket;
+    if (typeof Connection !== "function") {
+      throw new Error(ERROR_MESSAGES.REALTIME_NOT_SUPPORTED(type));
+    }
+    /**
+     * @type {ConfigService}
+     */
+    this.configService = configService;
+    this.onChange = onChange;
+    this.type = type;
+    this.url = url;
+    this.Connection = Connection;
+    this.maxBackoff = maxBackoff;
+    this.getToken = getToken;
+    this.connection = null;
+    this.attempt = 0;
+    this.timeoutId = null;
+    this.stopped = true;
+  }
+
+  /**
+   * Builds the stream URL. The credentials and environment are passed as query parameters,
+   * since EventSource and browser WebSockets cannot send custom headers.
+   * With getToken, a short-lived token is requested for each connection and sent instead of the API key,
+   * which would otherwise end up in server and proxy logs.
+   * @returns {Promise<string>} The stream URL
+   */
+  async getUrl() {
+    const baseUrl = this.url || this.configService.getEndpointUrl("STREAM");
+    const separator = baseUrl.includes("?") ? "&" : "?";
+    const credentials = this.getToken
+      ? `token=${encodeURIComponent(await this.getToken())}`
+      : `apiKey=${encodeURIComponent(this.configService.getApiConfig().apiKey)}`;
+    const query = `${credentials}&environment=${encodeURIComponent(this.configService.getEnvironment())}`;
+    const url = `${baseUrl}${separator}${query}`;
+    return this.type === "websocket" ? url.replace(/^http/i, "ws") : url;
+  }
+
+  /**
+   * Opens the connection. When the stream token can't be fetched, it is retried with backoff.
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    this.stopped = false;
+    clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+
+    let url;
+    try {
+      url = await this.getUrl();
+    } catch (error) {
+      this.scheduleReconnect();
+      return;
+    }
+    // disconnected while the token was fetched
+    if (this.stopped) {
+      return;
+    }
+    const connection = new this.Connection(url);
+    this.connection = connection;
+    connection.onopen = () => {
+      this.attempt = 0;
+    };
+    connection.onmessage = (event) => this.handleMessage(event.data);
+    connection.onerror = () => this.handleDisconnect(connection);
+    if (this.type === "websocket") {
+      connection.onclose = () => this.handleDisconnect(connection);
+    }
+  }
+
+  /**
+   * Closes the connection and stops reconnecting.
+   * @returns {void}
+   */
+  disconnect() {
+    this.stopped = true;
+    clearTimeout(this.timeoutId);
+    this.timeoutId = null;
+    this.closeConnection();
+  }
+
+  /**
+   * Closes the current connection without triggering a reconnect.
+   * @returns {void}
+   */
+  closeConnection() {
+    if (!this.connection) {
+      return;
+    }
+    const connection = this.connection;
+    this.connection = null;
+    connection.onopen = null;
+    connection.onmessage = null;
+    connection.onerror = null;
+    connection.onclose = null;
+    connection.close();
+  }
+
+  /**
+   * Reconnects with exponential backoff after the connection dropped.
+   * @param {Object} connection - The connection that dropped
+   * @returns {void}
+   */
+  handleDisconnect(connection) {
+    if (this.stopped || connection !== this.connection) {
+      return;
+    }
+    // EventSource reconnects on its own without backoff, so we manage reconnection ourselves
+    this.closeConnection();
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Reconnects after the next backoff delay.
+   * @returns {void}
+   */
+  scheduleReconnect() {
+    if (this.stopped) {
+      return;
+    }
+    this.attempt++;
+    const delay = getBackoffDelay(this.attempt, TIMING_CONFIG.REALTIME_RETRY_DELAY, this.maxBackoff);
+    this.timeoutId = setTimeout(() => this.connect(), delay);
+  }
+
+  /**
+   * Parses a change notification and forwards the changed slices.
+   * Unknown messages, e.g. keep-alive pings, are ignored.
+   * @param {string} rawMessage - The JSON encoded message
+   * @returns {void}
+   */
+  handleMessage(rawMessage) {
+    let message;
+    try {
+      message = JSON.parse(rawMessage);
+    } catch (error) {
+      return;
+    }
+    const slices = MESSAGE_SLICES[message?.type];
+    if (!slices) {
+      return;
+    }
+    this.onChange(slices, message.data || null);
+  }
+}
+
+export default ConfigStream;
@@ -0,0 +1,184 @@
+import { ERROR_MESSAGES, RETRY_CONFIG, TIMING_CONFIG } from "../utils/constants.js";
+
+/** @typedef {import("../core/ResyncCache.js").ResyncCache} ResyncCache */
+/** @typedef {import("./Transport.js").Transport} Transport */
+
+/**
+ * LogQueue class for uploading log entries in batches.
+ * Pending entries, including the batch being sent, are persisted so they survive an app restart,
+ * and failed batches are retried on the flush interval until the retries run out.
+ *
+ * @class LogQueue
+ * @example
+ * const queue = new LogQueue({
+ *   cache,
+ *   transport,
+ *   storageKey: STORAGE_CONFIG.EVENT_QUEUE_KEY,
+ *   endpoint: "LOG_EVENTS_BATCH",
+ * });
+ * queue.add([logEntry]);
+ */
+export class LogQueue {
+  /**
+   * Creates a new LogQueue instance.
+   * @constructor
+   * @param {{cache: ResyncCache, transport: Transport, storageKey: string, endpoint: string}} options - The client's cache and transport, the storage key of the pending entries and the batch endpoint name
+   */
+  constructor({ cache, transport, storageKey, endpoint }) {
+    /**
+     * @type {ResyncCache}
+     */
+    this.cache = cache;
+    /**
+     * @type {Transport}
+     */
+    this.transport = transport;
+    this.storageKey = storageKey;
+    this.endpoint = endpoint;
+    this.logs = [];
+    // batch currently being sent, kept so it is persisted until the backend accepts it
+    this.inFlightLogs = [];
+    this.retryCount = 0;
+    this.timeoutId = setInterval(() => this.flushLogs(), TIMING_CONFIG.FLUSH_INTERVAL);
+  }
+
+  /**
+   * Restores the log entries persisted by a previous app session and schedules them for upload.
+   * Entries older than the max log age are dropped.
+   * @returns {Promise<void>}
+   */
+  async restoreLogs() {
+    const persistedLogs = await this.cache.loadItem(this.storageKey);
+    if (!Array.isArray(persistedLogs) || persistedLogs.length === 0) {
+      return;
+    }
+    const oldestTimestamp = Date.now() - TIMING_CONFIG.MAX_PERSISTED_LOG_AGE;
+    const freshLogs = persistedLogs.filter(
+      (log) => new Date(log?.timestamp).getTime() >= oldestTimestamp
+    );
+    // a new app session gets a fresh set of retries
+    this.retryCount = 0;
+    this.logs.push(...freshLogs);
+    this.logs = this.logs.slice(0, RETRY_CONFIG.MAX_PERSISTED_LOGS);
+    this.persistLogs();
+    if (this.logs.length > 0) {
+      this.scheduleFlush();
+    }
+  }
+
+  /**
+   * Writes the pending log entries to storage so they survive an app restart.
+   * Only the newest entries are kept, up to the max persisted logs.
+   * @returns {void}
+   */
+  persistLogs() {
+    const pendingLogs = [...this.logs, ...this.inFlightLogs].slice(0, RETRY_CONFIG.MAX_PERSISTED_LOGS);
+    this.cache.saveItem(this.storageKey, pendingLogs);
+  }
+
+  /**
+   * Schedules a flush of the logs if none is scheduled yet.
+   * @returns {void}
+   */
+  scheduleFlush() {
+    if (!this.timeoutId) {
+      this.timeoutId = setTimeout(() => {
+        this.timeoutId = null;
+        this.flushLogs();
+      }, TIMING_CONFIG.FLUSH_INTERVAL);
+    }
+  }
+
+  /**
+   * Queues new log entries for upload.
+   * New entries give a queue whose retries ran out a fresh set of retries.
+   * @param {Array} logEntrys - The log entries to upload.
+   * @returns {void}
+   */
+  add(logEntrys) {
+    if (this.retryCount > RETRY_CONFIG.MAX_RETRIES) {
+      this.retryCount = 0;
+    }
+    this.saveLogForLaterUpload(logEntrys);
+  }
+
+  /** * Saves log entries for later upload.
+   * @param {Array} logEntrys - The log entries to save.
+   * @returns {void}
+   * @description This method saves log entries for later upload if the backend API is unreachable or returns an error.
+   */
+  saveLogForLaterUpload(logEntrys) {
+    // Add to logs (circular buffer for memory safety)
+    this.logs.unshift(...logEntrys);
+    if (this.logs.length > RETRY_CONFIG.MAX_LOG_BUFFER) {
+      this.logs.pop();
+    }
+    this.inFlightLogs = this.inFlightLogs.filter((log) => !logEntrys.includes(log));
+    this.persistLogs();
+    this.scheduleFlush();
+  }
+
+  /**
+   * Flushes the logs to the backend API.
+   * @returns {Promise<void>}
+   * @description This method sends the logs to the backend API for storage.
+   * When the retries run out the flush stops, and the entries stay persisted until new entries
+   * are added or the app restarts.
+   */
+  async flushLogs() {
+    if (this.logs.length === 0) {
+      this.stop();
+      return;
+    }
+
+    if (this.retryCount > RETRY_CONFIG.MAX_RETRIES) {
+      console.warn(ERROR_MESSAGES.TOO_MANY_RETRIES);
+      this.stop();
+      return;
+    }
+
+    this.retryCount++;
+
+    const batch = this.logs.splice(0, RETRY_CONFIG.BATCH_SIZE);
+    this.inFlightLogs.push(...batch);
+
+    this.sendLogsToBackend(batch);
+  }
+
+  /**
+   * Sends a batch of log entries to the backend API.
+   * @param {Array} batchEntries - The batch of log entries to send.
+   * @returns {void}
+   * @description This method sends a batch of log entries to the backend API for storage.
+   * If unsuccessful, it will save the log entries for later upload.
+   */
+  sendLogsToBackend(batchEntries) {
+    this.transport.request(this.endpoint, { body: batchEntries })
+      .then((response) => {
+        if (!response.ok) {
+          this.saveLogForLaterUpload(batchEntries);
+          return;
+        }
+        this.inFlightLogs = this.inFlightLogs.filter((log) => !batchEntries.includes(log));
+        this.retryCount = 0;
+        this.persistLogs();
+        if (this.logs.length > 0) {
+          this.scheduleFlush();
+        }
+      })
+      .catch((error) => {
+        this.saveLogForLaterUpload(batchEntries);
+      });
+  }
+
+  /**
+   * Stops the log flush timer, so the next scheduled flush can arm a new one.
+   * @returns {void}
+   */
+  stop() {
+    clearInterval(this.timeoutId);
+    this.timeoutId = null;
+  }
+}
+
+export default LogQueue;
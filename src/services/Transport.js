@@ -0,0 +1,125 @@
+import { API_CONFIG, ERROR_MESSAGES } from "../utils/constants.js";
+
+/** @typedef {import("../core/ConfigService.js").ConfigService} ConfigService */
+
+/**
+ * Transport class for sending requests to the Resync API.
+ * Every network call of a client goes through its Transport, which builds the endpoint URL,
+ * sets the API key and content type headers, serializes the body and parses the response.
+ *
+ * The underlying transport can be replaced with a fetch-compatible function,
+ * or with a transport object implementing `request({ url, method, headers, body })`.
+ * When none is provided, the global `fetch` is used.
+ *
+ * @class Transport
+ * @example
+ * const transport = new Transport({ configService });
+ *
+ * // Use a fetch-compatible function
+ * transport.setTransport((url, init) => fetch(url, { ...init, credentials: 'include' }));
+ *
+ * // Use an in-memory transport object
+ * transport.setTransport({
+ *   request: async ({ url, method, headers, body }) => ({ status: 200, data: {} }),
+ * });
+ *
+ * const response = await transport.request("APP_DATA", { body: { environment: "sandbox" } });
+ */
+export class Transport {
+  /**
+   * Creates a new Transport instance.
+   * @constructor
+   * @param {{configService: ConfigService, transport?: TransportOption}} options - The client's config service and an optional custom transport.
+   */
+  constructor({ configService, transport = null }) {
+    /**
+     * @type {ConfigService}
+     */
+    this.configService = configService;
+    /**
+     * @type {TransportOption|null}
+     */
+    this.transport = null;
+    if (transport) {
+      this.setTransport(transport);
+    }
+  }
+
+  /**
+   * Sets the underlying transport.
+   * @param {TransportOption} transport - A fetch-compatible function or a transport object
+   * @throws {Error} If the transport is neither a function nor an object with a request method
+   */
+  setTransport(transport) {
+    if (
+      typeof transport !== "function" &&
+      !(transport && typeof transport.request === "function")
+    ) {
+      throw new Error(ERROR_MESSAGES.INVALID_TRANSPORT);
+    }
+    this.transport = transport;
+  }
+
+  /**
+   * Sends a request to a Resync API endpoint.
+   * @param {keyof typeof API_CONFIG.ENDPOINTS} endpoint - The endpoint name (e.g. 'APP_DATA')
+   * @param {{method?: string, body?: unknown, campaignId?: string|number}} [options] - The request options
+   * @returns {Promise<TransportResponse>} The normalized response, data is the parsed JSON body of successful responses
+   * @throws {Error} If the request cannot be sent (e.g. network error)
+   * @example
+   * const response = await transport.request("CUSTOMER", { method: "PATCH", body: { userId: "123" } });
+   * if (response.ok) {
+   *   console.log(response.data);
+   * }
+   */
+  async request(endpoint, { method = "POST", body, campaignId } = {}) {
+    const { apiKey } = this.configService.getApiConfig();
+    const request = {
+      url: this.configService.getEndpointUrl(endpoint, { campaignId }),
+      method,
+      headers: {
+        [API_CONFIG.HEADERS.API_KEY_HEADER]: apiKey,
+        "Content-Type": API_CONFIG.HEADERS.CONTENT_TYPE,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    };
+
+    if (this.transport && typeof this.transport !== "function") {
+      const response = await this.transport.request(request);
+      const status = response?.status ?? 0;
+      return {
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: response?.statusText || "",
+        data: response?.data ?? null,
+      };
+    }
+
+    const fetchFn = this.transport || globalThis.fetch;
+    if (typeof fetchFn !== "function") {
+      throw new Error(ERROR_MESSAGES.FETCH_NOT_AVAILABLE);
+    }
+    const response = await fetchFn(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+    });
+    let data = null;
+    if (response.ok) {
+      try {
+        data = await response.json();
+      } catch (error) {
+        // empty or non JSON body
+        data = null;
+      }
+    }
+    return {
+      ok: response.ok,
+      status: response.status,
+      statusText: response.statusText || "",
+      data,
+    };
+  }
+}
+
+export default Transport;
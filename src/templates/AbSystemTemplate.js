@@ -1,5 +1,13 @@
-import ResyncCache from "../core/ResyncCache.js";
-import { TIMING_CONFIG } from "../utils/constants.js";
+import { SYSTEM_TEMPLATE_IDS, TIMING_CONFIG } from "../utils/constants.js";
+
+// Rollout buckets, for a 0.01% rollout granularity
+const ROLLOUT_BUCKETS = 10000;
+
+// Time-based campaigns switch variant once a day unless they set a rotation interval
+const DEFAULT_ROTATION_INTERVAL = 24 * 60 * 60 * 1000;
+
+// Share of offline bandit pulls that explore a random arm, unless the campaign sets an epsilon
+const DEFAULT_EPSILON = 0.1;
 
 /**
  * Hash a userId using DJB2 algorithm with salting for better distribution.
@@ -25,12 +33,138 @@ function hashUserId(userId) {
 }
 
 /**
- * Assigns a variant to a user based on the weighted rollout algorithm.
- * @param {string} userId - The user identifier (always a string)
- * @param {Array<{weight: number, contentViewId: number}>} variants - The variants to assign to the user
- * @returns {number|null} The content view id of the assigned variant or null if no variants are provided
+ * Mixes the bits of a hash (MurmurHash3 finalizer), so keys that only differ by their prefix,
+ * like the same user in two campaigns, get unrelated hashes.
+ * @param {number} hash - The hash to mix
+ * @returns {number} The mixed hash, an unsigned 32 bit integer
+ */
+function mixHash(hash) {
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+/**
+ * Returns the bucket of a salted user key, between 0 (inclusive) and 100 (exclusive).
+ * @param {string} key - The user identifier prefixed with a salt
+ * @returns {number} The bucket
+ */
+function getBucket(key) {
+  return (mixHash(hashUserId(key)) % ROLLOUT_BUCKETS) / (ROLLOUT_BUCKETS / 100);
+}
+
+/**
+ * Returns the salt of a campaign, so users land in independent buckets across campaigns.
+ * @param {Campaign} campaign - The campaign
+ * @returns {string} The campaign salt, its id unless it sets one
+ */
+function getCampaignSalt(campaign) {
+  return `${campaign?.salt ?? campaign?.id}`;
+}
+
+/**
+ * Returns the rollout bucket of a user for a campaign, between 0 (inclusive) and 100 (exclusive).
+ * The bucket is salted per campaign so users land in independent buckets across campaigns,
+ * and it does not depend on the rollout percent, so raising the percent only adds users.
+ * @param {string|number} salt - The campaign salt, its id unless it sets one
+ * @param {string} userId - The user identifier (user id, or session id for anonymous users)
+ * @returns {number} The rollout bucket
+ */
+export function getRolloutBucket(salt, userId) {
+  return getBucket(`${salt}_rollout_${userId}`);
+}
+
+/**
+ * Checks whether a user is in the rollout of a campaign.
+ * Campaigns without a rollout percent are rolled out to everyone.
+ * @param {Campaign} campaign - The campaign
+ * @param {string} userId - The user identifier (user id, or session id for anonymous users)
+ * @returns {boolean} True if the user is in the rollout
+ */
+export function isInRollout(campaign, userId) {
+  const rolloutPercent = campaign?.rolloutPercent ?? 100;
+  if (rolloutPercent >= 100) {
+    return true;
+  }
+  return getRolloutBucket(getCampaignSalt(campaign), userId) < rolloutPercent;
+}
+
+/**
+ * Checks whether a user is in the global holdout, which never sees any campaign variant.
+ * @param {Holdout|null} holdout - The holdout settings
+ * @param {string} userId - The user identifier (user id, or session id for anonymous users)
+ * @returns {boolean} True if the user is held out
  */
-function assignVariant(userId, variants) {
+export function isInHoldout(holdout, userId) {
+  if (!holdout?.percent || holdout.percent <= 0) {
+    return false;
+  }
+  return getBucket(`${holdout.salt ?? "holdout"}_holdout_${userId}`) < holdout.percent;
+}
+
+/**
+ * Returns the start and end of the share of its layer a campaign reserves with layerRange.
+ * @param {Campaign} campaign - The campaign
+ * @returns {{start: number, end: number}} The range, start inclusive and end exclusive, between 0 and 100
+ */
+function getLayerRange(campaign) {
+  return { start: campaign.layerRange.start ?? 0, end: campaign.layerRange.end ?? 100 };
+}
+
+/**
+ * Checks whether a user enters a campaign of an experiment layer.
+ * Every layer hashes users once, so a user enters at most one campaign per layer.
+ * Campaigns receive the share of the layer set by layerRange. The rest of the layer
+ * is split evenly between the campaigns of the layer that don't set one, ordered by id.
+ * Campaigns without a layer are entered by everyone.
+ * @param {Campaign} campaign - The campaign
+ * @param {Campaign[]} campaigns - All campaigns, used to split the layer
+ * @param {string} userId - The user identifier (user id, or session id for anonymous users)
+ * @returns {boolean} True if the user is in the campaign's share of the layer
+ */
+export function isInLayer(campaign, campaigns, userId) {
+  if (!campaign?.layer) {
+    return true;
+  }
+  const bucket = getBucket(`${campaign.layer}_layer_${userId}`);
+  const isInRange = ({ start, end }) => bucket >= start && bucket < end;
+  if (campaign.layerRange) {
+    return isInRange(getLayerRange(campaign));
+  }
+
+  const layerCampaigns = campaigns.filter((c) => c.layer === campaign.layer);
+  const reservedRanges = layerCampaigns.filter((c) => c.layerRange).map(getLayerRange);
+  if (reservedRanges.some(isInRange)) {
+    return false;
+  }
+  // position of the bucket in the part of the layer that is not reserved
+  let reservedSize = 0;
+  let position = bucket;
+  for (const { start, end } of reservedRanges) {
+    reservedSize += Math.max(0, end - start);
+    position -= Math.max(0, Math.min(end, bucket) - start);
+  }
+  const unranged = layerCampaigns
+    .filter((c) => !c.layerRange)
+    .sort((a, b) => `${a.id}`.localeCompare(`${b.id}`, undefined, { numeric: true }));
+  const share = (100 - reservedSize) / unranged.length;
+  if (share <= 0) {
+    return false;
+  }
+  const slot = Math.min(Math.floor(position / share), unranged.length - 1);
+  return unranged[slot]?.id === campaign.id;
+}
+
+/**
+ * Picks the variant whose weight range contains a value between 0 and 1.
+ * @param {CampaignVariant[]} variants - The variants to pick from
+ * @param {number} value - A value between 0 (inclusive) and 1 (exclusive)
+ * @returns {CampaignVariant|null} The picked variant or null if no variants are provided
+ */
+function pickVariant(variants, value) {
   if (variants.length === 0) {
     return null;
   }
@@ -39,63 +173,214 @@ function assignVariant(userId, variants) {
     throw new Error('Total weight must be greater than 0');
   }
   
-  // Normalize weights to sum to 1
-  const normalizedVariants = variants.map(v => ({
-    contentViewId: v.contentViewId,
-    weight: v.weight / totalWeight,
-  })).filter(v => v.contentViewId !== null);
-  
-  // Hash the userId and normalize to 0-1 range
-  const hashValue = hashUserId(userId);
-  const normalizedHash = hashValue / TIMING_CONFIG.HASH_MODULO;
-  
-  // Find which bucket the normalized hash falls into
+  // Find which bucket the value falls into, with weights normalized to sum to 1
   let cumulative = 0;
-  for (const v of normalizedVariants) {
-    cumulative += v.weight;
-    if (normalizedHash < cumulative) {
-      return v.contentViewId;
+  for (const v of variants) {
+    cumulative += v.weight / totalWeight;
+    if (value < cumulative) {
+      return v;
     }
   }
   
   // Fallback (shouldn't happen with proper normalization)
-  return normalizedVariants[normalizedVariants.length - 1].contentViewId;
+  return variants[variants.length - 1];
 }
 
 /**
- * Assigns a variant (content view id) to a user based on the weighted rollout algorithm.
- * This is a template for the weighted rollout algorithm.
- * @param {Campaign} campaign - The campaign to assign a variant to.
- * @returns {number|null} The content view id of the assigned variant or null if no variants are provided
+ * Assigns a variant to a user based on the weighted rollout algorithm.
+ * The user id is salted per campaign, so the variants of different campaigns are not correlated.
+ * @param {string} salt - The campaign salt
+ * @param {string} userId - The user identifier (always a string)
+ * @param {CampaignVariant[]} variants - The variants to assign to the user
+ * @returns {CampaignVariant|null} The assigned variant or null if no variants are provided
+ */
+function assignVariant(salt, userId, variants) {
+  // Hash the userId and normalize to 0-1 range
+  return pickVariant(variants, getBucket(`${salt}_variant_${userId}`) / 100);
+}
+
+/**
+ * Returns the variants of a campaign.
+ * Campaigns list any number of variants in `variants`. Older campaigns only set the control,
+ * variant A and optional variant B fields, which are converted to variants with the ids
+ * 'control', 'variantA' and 'variantB'.
+ * @param {Campaign} campaign - The campaign
+ * @returns {CampaignVariant[]} The variants, with a weight, value and content view id on each
  */
-export const weightedRolloutTemplate = (campaign) => {
+export function getCampaignVariants(campaign) {
+  if (Array.isArray(campaign?.variants) && campaign.variants.length > 0) {
+    return campaign.variants.map((variant, index) => ({
+      ...variant,
+      id: variant.id ?? `${index}`,
+      name: variant.name ?? null,
+      value: variant.value ?? null,
+      weight: variant.weight ?? 0,
+      contentViewId: variant.contentViewId ?? null,
+    }));
+  }
   let variants = [{
+    id: "control",
+    name: "Control",
+    value: null,
     weight: campaign.controlWeight,
     contentViewId: campaign.controlContentId,
+    default: true,
   }, {
+    id: "variantA",
+    name: "Variant A",
+    value: null,
     weight: campaign.variantAWeight,
     contentViewId: campaign.variantAContentId,
   }];
   if (campaign?.variantBWeight && campaign.variantBContentId) {
     variants.push({
+      id: "variantB",
+      name: "Variant B",
+      value: null,
       weight: campaign.variantBWeight,
       contentViewId: campaign.variantBContentId,
     });
   }
-  const userId = ResyncCache.getKeyValue("userId") || ResyncCache.getKeyValue("sessionId");
+  return variants;
+}
+
+/**
+ * Returns the control variant of a campaign, the default variant or else the first one.
+ * @param {Campaign} campaign - The campaign
+ * @returns {CampaignVariant|null} The control variant or null if the campaign has no variants
+ */
+export function getControlVariant(campaign) {
+  const variants = getCampaignVariants(campaign);
+  return variants.find((v) => v.default) || variants[0] || null;
+}
+
+/**
+ * Finds a campaign variant by id, or else by content view id.
+ * Variants that are no longer part of the campaign are returned with their content view id only.
+ * @param {Campaign} campaign - The campaign
+ * @param {{variantId?: string|null, contentViewId?: number|null}} reference - The variant id and/or content view id
+ * @returns {CampaignVariant|null} The variant or null if the reference is empty
+ */
+export function findCampaignVariant(campaign, { variantId = null, contentViewId = null } = {}) {
+  const variants = getCampaignVariants(campaign);
+  const variant =
+    (variantId !== null && variants.find((v) => `${v.id}` === `${variantId}`)) ||
+    (contentViewId !== null && variants.find((v) => v.contentViewId === contentViewId));
+  if (variant) {
+    return variant;
+  }
+  if (variantId === null && contentViewId === null) {
+    return null;
+  }
+  return { id: variantId, name: null, value: null, weight: 0, contentViewId };
+}
+
+/**
+ * Assigns a variant to a user based on the weighted rollout algorithm.
+ * This is a template for the weighted rollout algorithm.
+ * @param {Campaign} campaign - The campaign to assign a variant to.
+ * @param {string} userId - The user identifier (user id, or session id for anonymous users)
+ * @returns {CampaignVariant|null} The assigned variant or null if no variants are provided
+ */
+export const weightedRolloutTemplate = (campaign, userId) => {
+  // Only users with bucket < rolloutPercent are in the rollout, the others get the control
+  if (!isInRollout(campaign, userId)) {
+    return getControlVariant(campaign);
+  }
+  return assignVariant(getCampaignSalt(campaign), userId, getCampaignVariants(campaign));
+};
 
-  // Only users with hash < rolloutPercent are in the rollout
-  // if (hash >= rolloutPercent) {
-  //   // Assign the default or first variant as default
-  //   return variants.find(v => v.default)?.value || variants[0].value;
-  // }
-  return assignVariant(userId, variants);
+/**
+ * Turns a feature on (the first variant that is not the control) for the users in the rollout,
+ * and off (the control) for the others.
+ * @param {Campaign} campaign - The feature flag campaign
+ * @param {string} userId - The user identifier (user id, or session id for anonymous users)
+ * @returns {CampaignVariant|null} The enabled variant, or the control for users outside the rollout
+ */
+export const featureFlagRolloutTemplate = (campaign, userId) => {
+  const control = getControlVariant(campaign);
+  if (!isInRollout(campaign, userId)) {
+    return control;
+  }
+  return getCampaignVariants(campaign).find((v) => v !== control && v.id !== control?.id) || control;
 };
 
-// Map of system template IDs to their respective functions to be called locally
-export const systemTemplatesIdMap = {
-  "weighted-rollout": 'weightedRolloutTemplate',
+/**
+ * Assigns a random variant based on the variant weights.
+ * Unlike the weighted rollout, the same user can get a different variant on another device.
+ * @param {Campaign} campaign - The campaign to assign a variant to
+ * @param {function(): number} [random] - Random number generator returning a value between 0 and 1
+ * @returns {CampaignVariant|null} The assigned variant or null if no variants are provided
+ */
+export const weightedRandomTemplate = (campaign, random = Math.random) => {
+  return pickVariant(getCampaignVariants(campaign), random());
 };
 
-// Require api calls to determine variant
-export const backendSystemTemplatesIds = ['bandit-epsilon-greedy', 'round-robin']
\ No newline at end of file
+/**
+ * Rotates through the variants with a non zero weight, switching variant every rotation interval.
+ * Every user sees the same variant at the same time.
+ * @param {Campaign} campaign - The campaign to assign a variant to
+ * @param {number} now - The current time in milliseconds
+ * @returns {CampaignVariant|null} The current variant or null if no variants are provided
+ */
+export const timeBasedTemplate = (campaign, now) => {
+  const variants = getCampaignVariants(campaign).filter((v) => v.weight > 0);
+  if (variants.length === 0) {
+    return null;
+  }
+  const interval = campaign.rotationInterval > 0 ? campaign.rotationInterval : DEFAULT_ROTATION_INTERVAL;
+  return variants[Math.floor(now / interval) % variants.length];
+};
+
+/**
+ * Picks an arm of a bandit campaign with the epsilon-greedy algorithm, over the cached arm stats.
+ * With probability epsilon a random arm is explored, otherwise the arm with the best conversion rate is exploited.
+ * Arms that were never pulled are tried first.
+ * @param {Campaign} campaign - The bandit campaign
+ * @param {function(): number} [random] - Random number generator returning a value between 0 and 1
+ * @returns {CampaignVariant|null} The picked arm or null if the campaign has no arms
+ */
+export const epsilonGreedyTemplate = (campaign, random = Math.random) => {
+  const arms = getCampaignVariants(campaign);
+  if (arms.length === 0) {
+    return null;
+  }
+  const epsilon = campaign.epsilon ?? DEFAULT_EPSILON;
+  if (random() < epsilon) {
+    return arms[Math.floor(random() * arms.length)];
+  }
+  const armStats = campaign.armStats || [];
+  let bestArm = arms[0];
+  let bestRate = -1;
+  for (const arm of arms) {
+    const stats = armStats.find((s) =>
+      (s.variantId !== undefined && `${s.variantId}` === `${arm.id}`) ||
+      (s.contentViewId !== undefined && s.contentViewId === arm.contentViewId)
+    );
+    const impressions = stats?.impressions || 0;
+    const rate = impressions > 0 ? (stats.conversions || 0) / impressions : Infinity;
+    if (rate > bestRate) {
+      bestArm = arm;
+      bestRate = rate;
+    }
+  }
+  return bestArm;
+};
+
+// Assignment strategies run on the device, keyed by system template id.
+// Strategies receive the campaign and the assignment context, and return a variant or a content view id,
+// or { variantId, contentViewId, persist: false } for variants that must not be stored as the user's assignment.
+export const systemTemplates = {
+  [SYSTEM_TEMPLATE_IDS.WEIGHTED_ROLLOUT]: (campaign, { userId }) => weightedRolloutTemplate(campaign, userId),
+  [SYSTEM_TEMPLATE_IDS.FEATURE_FLAG_ROLLOUT]: (campaign, { userId }) => featureFlagRolloutTemplate(campaign, userId),
+  [SYSTEM_TEMPLATE_IDS.WEIGHTED_RANDOM]: (campaign) => weightedRandomTemplate(campaign),
+  [SYSTEM_TEMPLATE_IDS.TIME_BASED]: (campaign, { now }) => {
+    const variant = timeBasedTemplate(campaign, now);
+    return {
+      variantId: variant?.id ?? null,
+      contentViewId: variant?.contentViewId ?? null,
+      // the variant changes over time, so it is not stored as the user's assignment
+      persist: false,
+    };
+  },
+};
@@ -20,7 +20,92 @@
  * @property {number} variantAWeight - The weight of the variant A
  * @property {number} variantBWeight - The weight of the variant B
  * @property {string} abTestType - The type of A/B test (e.g., 'weighted-rollout', 'round-robin')
+ * @property {number} [rolloutPercent] - Percentage of users (0-100) in the rollout, everyone when not set
+ * @property {number} [rotationInterval] - How often time-based campaigns switch variant in milliseconds, one day when not set
+ * @property {number} [epsilon] - Share of offline bandit pulls exploring a random arm, 0.1 when not set
+ * @property {ArmStats[]} [armStats] - Bandit arm stats, used to pick an arm when the backend can't be reached
+ */
+
+/**
+ * Stats of a bandit campaign arm.
+ * @typedef {Object} ArmStats
+ * @property {string} [variantId] - The variant id of the arm
+ * @property {number} [contentViewId] - The content view id of the arm
+ * @property {number} impressions - Number of pulls
+ * @property {number} conversions - Number of rewarded pulls
  * @property {number} winningContentId - The content view id of the winning variant
+ * @property {string} [winningVariantId] - The id of the winning variant
+ * @property {CampaignVariant[]} [variants] - The variants, replacing the control, variant A and variant B fields
+ * @property {string} [salt] - Salt of the user hash, the campaign id when not set
+ * @property {string} [layer] - Experiment layer, users enter at most one campaign per layer
+ * @property {{start: number, end: number}} [layerRange] - Share of the layer (0-100) the campaign receives, an even split when not set
+ * @property {'sticky'|'rebucket'} [loginBehavior] - Whether anonymous assignments carry over on login, 'sticky' when not set
+ * @property {AudienceRule} [audience] - The audience the campaign targets, everyone when not set
+ * @property {CampaignDateSettings} [dateSettings] - The campaign schedule, always running when not set
+ */
+
+/**
+ * The schedule of a campaign.
+ * @typedef {Object} CampaignDateSettings
+ * @property {string} [startDate] - ISO date the campaign starts at
+ * @property {string} [endDate] - ISO date the campaign ends at, date-only end dates include their whole day
+ * @property {string} [timezone] - IANA time zone of dates without an offset, UTC when not set
+ */
+
+/**
+ * A campaign variant.
+ * @typedef {Object} CampaignVariant
+ * @property {string} id - The variant id
+ * @property {string|null} name - The variant name
+ * @property {*} value - The variant payload
+ * @property {number} weight - The variant weight
+ * @property {number|null} contentViewId - The content view id shown for the variant
+ * @property {boolean} [default] - Whether this is the control variant
+ */
+
+/**
+ * The context assignment strategies are called with.
+ * @typedef {Object} AssignmentContext
+ * @property {string} userId - The user id, or the session id for anonymous users
+ * @property {string|null} sessionId - The session id
+ * @property {AudienceContext} attributes - The user's targeting attributes
+ * @property {number} now - The current time in milliseconds, corrected by the server clock
+ */
+
+/**
+ * Assigns a variant to the user, returning a content view id,
+ * or {contentViewId, persist: false} to serve a variant without storing it as the user's assignment.
+ * @callback AssignmentStrategy
+ * @param {Campaign} campaign - The campaign
+ * @param {AssignmentContext} context - The assignment context
+ * @returns {VariantResult|Promise<VariantResult>}
+ */
+
+/**
+ * A content view id, a variant, or a variant reference with persist false
+ * to serve the variant without storing it as the user's assignment.
+ * @typedef {number|null|CampaignVariant|{variantId?: string, contentViewId?: number|null, persist?: boolean}} VariantResult
+ */
+
+/**
+ * A single audience condition.
+ * @typedef {Object} AudienceCondition
+ * @property {string} attribute - The attribute name or dotted path (e.g. 'country' or 'attributes.plan')
+ * @property {'equals' | 'notEquals' | 'in' | 'notIn' | 'range' | 'regex' | 'semver' | 'exists'} operator - The comparison operator
+ * @property {*} [value] - The value to compare against, an array for in/notIn, {min, max} for range, a version range for semver
+ */
+
+/**
+ * An audience rule, either a condition or an AND/OR group of rules.
+ * @typedef {AudienceCondition | {and: AudienceRule[]} | {or: AudienceRule[]}} AudienceRule
+ */
+
+/**
+ * The user data audience rules are evaluated against.
+ * @typedef {Object} AudienceContext
+ * @property {string|null} userId - User ID
+ * @property {string|null} sessionId - Session ID
+ * @property {Record<string, any>} attributes - Custom user attributes
  */
 
 /**
@@ -100,7 +185,7 @@
  * @property {Array} [options] - Options array
  * @property {number} [rows] - Number of rows
  * @property {number} [cols] - Number of columns
- * @property {Object} [validationRules] - Validation rules
+ * @property {Object} [validationRules] - Validation rules that take precedence over the field settings, with an optional message or messages by rule
  * @property {Object} [labelStyle] - Label style
  */
 
@@ -200,6 +285,56 @@
  * @property {Date} updatedAt - Updated at
  */
 
+/**
+ * Content item resolved in its content view tree.
+ * @typedef {ContentItem & {children: ContentNode[]}} ContentNode
+ */
+
+/**
+ * Content view with its items resolved into a tree, in place of the flat contents.
+ * @typedef {Object} ContentViewTree
+ * @property {number} id - Content view ID
+ * @property {string} name - Content view name
+ * @property {ContentNode[]} children - Visible top level items, ordered by their order
+ * @property {ContentItem[]} orphans - Items left out of the tree because their parent is missing
+ * @property {ContentItem[]} cycles - Items left out of the tree because their parents form a cycle
+ */
+
+/**
+ * Handlers of the content view renderers, usually bound to a Resync client.
+ * @typedef {Object} RendererHandlers
+ * @property {function({eventId: string, logId?: string|null, metadata?: Object|null}): void} [logEvent] - Logs the events of viewed, clicked and submitted items
+ * @property {function({contentViewId: number, data: Object}): Promise<boolean>} [submitForm] - Submits the forms
+ * @property {function(ClickAction, ContentItem): void} [onAction] - Runs the click actions, links open in a new tab and shares use the Web Share API when not set
+ * @property {function(boolean, Object, ContentItem): void} [onSubmit] - Called after a form is submitted, with whether it succeeded and its values
+ * @property {function(Object, ContentItem): HTMLElement} [renderIcon] - Creates the element of icons, a span with a data-icon attribute when not set
+ */
+
+/**
+ * Options of the HTML renderer.
+ * @typedef {Object} HtmlRenderOptions
+ * @property {'inline'|'class'} [styleMode='inline'] - Whether styles are inline style attributes or classes in a style element
+ * @property {string} [classPrefix='resync-style-'] - Prefix of the style classes in class mode
+ * @property {boolean} [hydrate=false] - Whether to add the data attributes hydrateContentView matches items with
+ * @property {function(Object, ContentItem): string} [renderIcon] - Returns the markup of icons, inserted in their span
+ */
+
+/**
+ * Load status of a Resync client, as returned by getStatus and useResyncStatus.
+ * @typedef {Object} ResyncStatus
+ * @property {boolean} ready - Whether the client is ready
+ * @property {boolean} isLoading - Whether data is being loaded
+ * @property {boolean} loadFailed - Whether the app configuration failed to load
+ */
+
+/**
+ * Variant of a campaign, as returned by useVariant.
+ * @typedef {Object} VariantState
+ * @property {number|CampaignVariant|null} variant - The variant, null while it is loading or when the campaign has no variants
+ * @property {boolean} isLoading - Whether the variant is loading
+ * @property {Error|null} error - The error of the last load, e.g. when the campaign does not exist
+ */
+
 /**
  * Object representing a user.
  * @typedef {Object} User
@@ -222,8 +357,13 @@
  * @property {string} [sessionId] - Current session ID
  * @property {string} [userId] - Current user ID
  * @property {{[campaignId: number]: CampaignAssignment}} [campaignAssignments] - User campaign assignments
+ * @property {{[campaignId: number]: string[]}} [campaignConversions] - Conversion keys already recorded per campaign
  * @property {string} [appId] - Application ID
  * @property {User} [user] - User
+ * @property {Object} [userAttributes] - User attributes set on this device, used for audience targeting
+ * @property {number} [clockOffset] - Difference between the server and the device clock in milliseconds
+ * @property {Holdout} [holdout] - Global holdout settings
+ * @property {{sessionId: string, userId: string|null, variants: {[campaignId: number]: string[]}}} [exposures] - Variants already exposed in the session, with the session and user they were logged for
  */
 
 /**
@@ -242,12 +382,125 @@
  * @property {ContentView[]} content - Content blocks
  * @property {User} [user] - User object
  * @property {{[campaignId: number]: CampaignAssignment}} [campaignAssignments] - User campaign assignments
+ * @property {string|number} [serverTime] - Server time of the response, used to correct the device clock
+ * @property {Holdout} [holdout] - Global holdout that never sees any campaign variant
+ */
+
+/**
+ * Global holdout settings.
+ * @typedef {Object} Holdout
+ * @property {number} percent - Percentage of users (0-100) held out of every campaign
+ * @property {string} [salt] - Salt of the holdout hash, change it to draw a new holdout
  */
 
 /**
  * @typedef {Object} CampaignAssignment
- * @property {number} contentViewId - Content block ID
+ * @property {number|null} contentViewId - Content block ID
+ * @property {string|null} [variantId] - Variant ID
  * @property {number} campaignId - Campaign ID
+ * @property {string} [bucketingId] - Session ID the assignment was bucketed with, for assignments carried over on login
+ */
+
+/**
+ * Request handed to a custom transport object.
+ * @typedef {Object} TransportRequest
+ * @property {string} url - The endpoint URL
+ * @property {string} method - The HTTP method
+ * @property {Object<string, string>} headers - The request headers, including the API key
+ * @property {string} [body] - The JSON encoded request body
+ */
+
+/**
+ * Response returned by a custom transport object.
+ * @typedef {Object} TransportResult
+ * @property {number} status - The HTTP status code
+ * @property {string} [statusText] - The HTTP status text
+ * @property {*} [data] - The parsed response body
+ */
+
+/**
+ * Custom transport object.
+ * @typedef {Object} TransportObject
+ * @property {function(TransportRequest): Promise<TransportResult>} request - Sends a request
+ */
+
+/**
+ * A fetch-compatible function or a custom transport object.
+ * @typedef {function(string, Object): Promise<Response> | TransportObject} TransportOption
+ */
+
+/**
+ * Normalized response returned by the Transport service.
+ * @typedef {Object} TransportResponse
+ * @property {boolean} ok - Whether the status is in the 2xx range
+ * @property {number} status - The HTTP status code
+ * @property {string} statusText - The HTTP status text
+ * @property {*} data - The parsed JSON body of successful responses, null otherwise
+ */
+
+/**
+ * Validation rule for a config value, used by the typed config getters.
+ * @typedef {Object} ConfigSchemaRule
+ * @property {'boolean' | 'number' | 'string' | 'json'} [type] - Expected type of the value
+ * @property {Array} [enum] - Allowed values
+ * @property {number} [min] - Minimum value for numbers
+ * @property {number} [max] - Maximum value for numbers
+ * @property {boolean} [integer] - Whether a number must be an integer
+ * @property {number} [minLength] - Minimum length for strings
+ * @property {number} [maxLength] - Maximum length for strings
+ * @property {string} [pattern] - Regular expression strings must match
+ * @property {function(*): boolean} [validate] - Custom validation function
+ */
+
+/**
+ * Config schema keyed by config key.
+ * @typedef {Object<string, ConfigSchemaRule>} ConfigSchema
+ */
+
+/**
+ * App data compared between loads to compute change sets.
+ * @typedef {Object} AppDataSnapshot
+ * @property {Object} configs - Application configuration object
+ * @property {ContentView[]} content - Content views
+ * @property {Campaign[]} campaigns - Campaigns
+ */
+
+/**
+ * Change set passed to subscribers after a load.
+ * @typedef {Object} ChangeSet
+ * @property {string[]} configs - Keys of the configs that were added, changed or removed
+ * @property {string[]} content - Names of the content views that were added, changed or removed
+ * @property {string[]} campaigns - Names of the campaigns that were added, changed or removed
+ * @property {boolean} hasChanges - Whether anything changed
+ */
+
+/**
+ * Options for refreshing the app configuration in the background.
+ * @typedef {Object} AutoRefreshOptions
+ * @property {number} [interval] - Polling interval in milliseconds, defaults to the cache TTL (at least 1 minute)
+ * @property {boolean} [refreshOnForeground] - Refresh stale data when the app comes to the foreground, defaults to true
+ * @property {Object} [appState] - React Native AppState, used to detect the app coming to the foreground
+ * @property {number} [maxBackoff] - Maximum delay between retries after failed refreshes in milliseconds
+ */
+
+/**
+ * Options for receiving change notifications in real time.
+ * @typedef {Object} RealtimeOptions
+ * @property {'sse' | 'websocket'} [type] - Connection type, defaults to sse
+ * @property {string} [url] - Stream URL, defaults to the STREAM endpoint
+ * @property {Function} [EventSource] - EventSource implementation, defaults to the global one
+ * @property {Function} [WebSocket] - WebSocket implementation, defaults to the global one
+ * @property {number} [maxBackoff] - Maximum delay between reconnection attempts in milliseconds
+ * @property {function(): (string|Promise<string>)} [getToken] - Returns a short-lived stream token, sent instead of the API key on each connection
+ */
+
+/**
+ * @typedef {Object} ConversionOptions
+ * @property {string} [conversionId] - Unique conversion identifier (e.g. an order id) used for deduplication
+ * @property {number} [value] - Conversion value
+ * @property {number} [revenue] - Revenue generated by the conversion
+ * @property {string} [currency] - Currency of the revenue
+ * @property {Object} [metadata] - Additional metadata for the conversion
  */
 
 /**
@@ -256,7 +509,40 @@
  * @property {number} appId - The application ID
  * @property {Function} [callback] - Optional callback function when config is loaded
  * @property {StorageInterface} [storage] - Optional storage object for caching
+ * @property {string} [storageKey] - Optional storage key, needed when several clients share the same storage
  * @property {'sandbox' | 'production'} [environment] - Optional environment object
+ * @property {string} [apiUrl] - Optional base URL of the Resync API, e.g. a proxy or a local stand-in
+ * @property {Object<string, string>} [endpoints] - Optional per-endpoint overrides keyed by endpoint name (e.g. APP_DATA), as a path or an absolute URL
+ * @property {TransportOption} [transport] - Optional fetch-compatible function or transport object used for all network requests
+ * @property {ConfigSchema} [configSchema] - Optional validation rules for config values, keyed by config key
+ * @property {boolean|AutoRefreshOptions} [autoRefresh] - Optional background refresh of the app configuration
+ * @property {boolean|RealtimeOptions} [realtime] - Optional realtime change notifications over SSE or WebSocket
+ * @property {AppConfigResponse} [bootstrap] - Optional bundled app data, served until the first fetch succeeds
+ * @property {Object<string, number|string>} [overrides] - Optional QA variant overrides, content view id or variant id keyed by campaign name
+ * @property {boolean} [allowOverrides] - Optional, allows variant overrides outside the sandbox environment
+ * @property {boolean} [autoExposure] - Optional, logs exposures on getVariant, false when not set
+ * @property {ValidationMessages} [validationMessages] - Optional form validation messages by rule, replacing the default ones
+ */
+
+/**
+ * Form validation messages by rule (required, option, email, url, number, minLength, maxLength, min, max, step, pattern).
+ * Messages are strings whose {placeholders}, such as {label} or {minLength}, are replaced with the field settings,
+ * or functions called with the field settings.
+ * @typedef {Object<string, string|function(Object): string>} ValidationMessages
+ */
+
+/**
+ * Validation error of a form field.
+ * @typedef {Object} FieldValidationError
+ * @property {string} rule - The first rule the value breaks
+ * @property {string} message - The message of the rule
+ */
+
+/**
+ * Result of a form validation.
+ * @typedef {Object} FormValidationResult
+ * @property {boolean} valid - Whether the form data is valid
+ * @property {Object<string, FieldValidationError>} errors - The errors keyed by field name
  */
 
 /**
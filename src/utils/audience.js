@@ -0,0 +1,183 @@
+/**
+ * Audience helpers for Resync
+ * Evaluates campaign audience rules locally against the user's targeting attributes,
+ * so targeting keeps working offline.
+ */
+
+import { AUDIENCE_OPERATORS, ERROR_MESSAGES } from "./constants.js";
+
+/**
+ * Reads an attribute from the targeting context.
+ * Dotted paths read nested values, and unknown top level keys fall back to the custom attributes.
+ * @param {AudienceContext} context - The targeting context
+ * @param {string} attribute - The attribute name or dotted path (e.g. 'country' or 'attributes.plan')
+ * @returns {*} The attribute value or undefined
+ */
+function getAttributeValue(context, attribute) {
+  const value = `${attribute}`.split(".").reduce((current, key) => current?.[key], context);
+  if (value === undefined && !`${attribute}`.includes(".")) {
+    return context?.attributes?.[attribute];
+  }
+  return value;
+}
+
+/**
+ * Parses a version string into its numeric parts, ignoring a leading v and any pre-release suffix.
+ * @param {string} version - The version (e.g. '2.1.0')
+ * @returns {number[]|null} The major, minor and patch numbers or null if the version is invalid
+ */
+function parseVersion(version) {
+  const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?/.exec(`${version}`.trim());
+  if (!match) {
+    return null;
+  }
+  return [Number(match[1]), Number(match[2] || 0), Number(match[3] || 0)];
+}
+
+/**
+ * Compares two parsed versions.
+ * @param {number[]} a - The first version
+ * @param {number[]} b - The second version
+ * @returns {number} A negative number if a < b, 0 if equal, a positive number if a > b
+ */
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Checks a version against a semver range made of space separated comparators.
+ * @param {string} version - The version to check
+ * @param {string} range - The range (e.g. '>=2.1.0' or '>=2.0.0 <3.0.0')
+ * @returns {boolean} True if the version satisfies every comparator
+ * @example
+ * satisfiesVersion('2.4.1', '>=2.1.0 <3.0.0'); // true
+ */
+function satisfiesVersion(version, range) {
+  const parsedVersion = parseVersion(version);
+  if (!parsedVersion) {
+    return false;
+  }
+  return `${range}`.trim().split(/\s+/).every((comparator) => {
+    const [, operator = "=", target] = /^(>=|<=|>|<|=)?(.+)$/.exec(comparator) || [];
+    const parsedTarget = parseVersion(target);
+    if (!parsedTarget) {
+      return false;
+    }
+    const result = compareVersions(parsedVersion, parsedTarget);
+    switch (operator) {
+      case ">=":
+        return result >= 0;
+      case "<=":
+        return result <= 0;
+      case ">":
+        return result > 0;
+      case "<":
+        return result < 0;
+      default:
+        return result === 0;
+    }
+  });
+}
+
+/**
+ * Compares two attribute values, ignoring case for strings.
+ * @param {*} a - The first value
+ * @param {*} b - The second value
+ * @returns {boolean} True if both values are equal
+ */
+function valuesEqual(a, b) {
+  if (typeof a === "string" && typeof b === "string") {
+    return a.toLowerCase() === b.toLowerCase();
+  }
+  return a === b;
+}
+
+/**
+ * Evaluates a single audience condition.
+ * @param {AudienceCondition} condition - The condition
+ * @param {AudienceContext} context - The targeting context
+ * @returns {boolean} True if the user matches the condition
+ */
+function matchesCondition(condition, context) {
+  const { attribute, operator, value } = condition;
+  const actual = getAttributeValue(context, attribute);
+
+  if (operator === AUDIENCE_OPERATORS.EXISTS) {
+    return actual !== undefined && actual !== null && actual !== "";
+  }
+  // missing attributes never match, so users are only targeted on what is known about them
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+
+  switch (operator) {
+    case AUDIENCE_OPERATORS.EQUALS:
+      return valuesEqual(actual, value);
+    case AUDIENCE_OPERATORS.NOT_EQUALS:
+      return !valuesEqual(actual, value);
+    case AUDIENCE_OPERATORS.IN:
+      return Array.isArray(value) && value.some((item) => valuesEqual(actual, item));
+    case AUDIENCE_OPERATORS.NOT_IN:
+      return Array.isArray(value) && !value.some((item) => valuesEqual(actual, item));
+    case AUDIENCE_OPERATORS.RANGE: {
+      const number = Number(actual);
+      if (!Number.isFinite(number)) {
+        return false;
+      }
+      return (value?.min === undefined || number >= value.min) &&
+        (value?.max === undefined || number <= value.max);
+    }
+    case AUDIENCE_OPERATORS.REGEX:
+      try {
+        return new RegExp(value).test(`${actual}`);
+      } catch (error) {
+        console.warn(ERROR_MESSAGES.INVALID_AUDIENCE_RULE(attribute));
+        return false;
+      }
+    case AUDIENCE_OPERATORS.SEMVER:
+      return satisfiesVersion(actual, value);
+    default:
+      console.warn(ERROR_MESSAGES.UNKNOWN_AUDIENCE_OPERATOR(operator));
+      return false;
+  }
+}
+
+/**
+ * Evaluates an audience rule against the targeting context.
+ * A rule is either a condition or an `and` / `or` group of rules, which can be nested.
+ * Campaigns without an audience target everyone.
+ * @param {AudienceRule} [rule] - The audience rule
+ * @param {AudienceContext} context - The targeting context
+ * @returns {boolean} True if the user is in the audience
+ * @example
+ * matchesAudience({
+ *   and: [
+ *     { attribute: 'country', operator: 'in', value: ['US', 'CA'] },
+ *     { or: [
+ *       { attribute: 'age', operator: 'range', value: { min: 18, max: 35 } },
+ *       { attribute: 'plan', operator: 'equals', value: 'premium' },
+ *     ] },
+ *   ],
+ * }, { country: 'US', age: 25, attributes: { plan: 'free' } }); // true
+ */
+export function matchesAudience(rule, context) {
+  if (!rule) {
+    return true;
+  }
+  if (Array.isArray(rule.and)) {
+    return rule.and.every((child) => matchesAudience(child, context));
+  }
+  if (Array.isArray(rule.or)) {
+    return rule.or.some((child) => matchesAudience(child, context));
+  }
+  if (!rule.attribute || !rule.operator) {
+    console.warn(ERROR_MESSAGES.INVALID_AUDIENCE_RULE(rule.attribute));
+    return false;
+  }
+  return matchesCondition(rule, context);
+}
@@ -0,0 +1,19 @@
+/**
+ * Backoff helpers for Resync
+ * Shared by the background refresh and the real-time connection.
+ */
+
+/**
+ * Computes an exponential backoff delay.
+ * @param {number} attempt - The number of consecutive failures, starting at 1
+ * @param {number} baseDelay - The delay after the first failure in milliseconds
+ * @param {number} maxDelay - The maximum delay in milliseconds
+ * @returns {number} The delay before the next attempt in milliseconds
+ * @example
+ * getBackoffDelay(1, 1000, 60000); // 1000
+ * getBackoffDelay(3, 1000, 60000); // 4000
+ */
+export function getBackoffDelay(attempt, baseDelay, maxDelay) {
+  const exponent = Math.max(attempt - 1, 0);
+  return Math.min(baseDelay * 2 ** exponent, maxDelay);
+}
@@ -0,0 +1,146 @@
+/**
+ * Config schema helpers for Resync
+ * Validates remote config values against the type requested by the typed getters
+ * and the optional per-key schema.
+ */
+
+import { CONFIG_VALUE_TYPES, ERROR_MESSAGES } from "./constants.js";
+
+/**
+ * Returns a readable type name for a config value, used in warnings.
+ * @param {*} value - The config value
+ * @returns {string} The type name
+ */
+function getValueType(value) {
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (value === null) {
+    return "null";
+  }
+  return typeof value;
+}
+
+/**
+ * Checks that a config schema is well formed.
+ * @param {ConfigSchema} schema - The config schema, keyed by config key
+ * @throws {Error} If the schema is not an object or a rule has an unknown type
+ */
+export function validateConfigSchema(schema) {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    throw new Error(ERROR_MESSAGES.CONFIG_SCHEMA_MUST_BE_OBJECT);
+  }
+  for (const [key, rule] of Object.entries(schema)) {
+    if (rule?.type && !Object.values(CONFIG_VALUE_TYPES).includes(rule.type)) {
+      throw new Error(ERROR_MESSAGES.UNKNOWN_CONFIG_TYPE(key, rule.type));
+    }
+  }
+}
+
+/**
+ * Converts a raw config value to the requested type.
+ * @param {*} value - The raw config value
+ * @param {string} type - The requested type (boolean, number, string or json)
+ * @returns {{valid: boolean, value?: *}} The converted value, or valid false if the value has the wrong type
+ */
+function coerceValue(value, type) {
+  switch (type) {
+    case CONFIG_VALUE_TYPES.BOOLEAN:
+      return { valid: typeof value === "boolean", value };
+    case CONFIG_VALUE_TYPES.NUMBER:
+      return { valid: typeof value === "number" && Number.isFinite(value), value };
+    case CONFIG_VALUE_TYPES.STRING:
+      return { valid: typeof value === "string", value };
+    case CONFIG_VALUE_TYPES.JSON:
+      if (typeof value === "object") {
+        return { valid: true, value };
+      }
+      // JSON values can be stored as a string in the dashboard
+      if (typeof value === "string") {
+        try {
+          const parsed = JSON.parse(value);
+          return { valid: parsed !== null && typeof parsed === "object", value: parsed };
+        } catch (error) {
+          return { valid: false };
+        }
+      }
+      return { valid: false };
+    default:
+      return { valid: false };
+  }
+}
+
+/**
+ * Checks a typed config value against its schema rule.
+ * @param {*} value - The typed config value
+ * @param {ConfigSchemaRule} rule - The schema rule
+ * @returns {string|null} The reason the value is invalid, or null if it is valid
+ */
+function checkRule(value, rule) {
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of ${rule.enum.join(", ")}`;
+  }
+  if (typeof value === "number") {
+    if (rule.integer && !Number.isInteger(value)) {
+      return "must be an integer";
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return `must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return `must be at most ${rule.max}`;
+    }
+  }
+  if (typeof value === "string") {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return `must be at least ${rule.minLength} characters`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return `must be at most ${rule.maxLength} characters`;
+    }
+    if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+      return `must match ${rule.pattern}`;
+    }
+  }
+  if (typeof rule.validate === "function" && !rule.validate(value)) {
+    return "failed custom validation";
+  }
+  return null;
+}
+
+/**
+ * Resolves a config value to the requested type, falling back to the default
+ * and reporting a warning when the value has the wrong type or fails its schema rule.
+ * Missing values fall back to the default without a warning.
+ * @param {string} key - The config key
+ * @param {*} value - The raw config value
+ * @param {string} type - The requested type (boolean, number, string or json)
+ * @param {*} defaultValue - The value to return when the config value is missing or invalid
+ * @param {ConfigSchemaRule} [rule] - The optional schema rule for the key
+ * @returns {*} The typed config value or the default value
+ * @example
+ * resolveConfigValue('MAX_RETRIES', 3, 'number', 1, { min: 0, max: 5 }); // 3
+ * resolveConfigValue('MAX_RETRIES', '3', 'number', 1); // 1, with a warning
+ */
+export function resolveConfigValue(key, value, type, defaultValue, rule) {
+  if (value === null || value === undefined) {
+    return defaultValue;
+  }
+  if (rule?.type && rule.type !== type) {
+    console.warn(ERROR_MESSAGES.CONFIG_SCHEMA_TYPE_MISMATCH(key, rule.type, type));
+    return defaultValue;
+  }
+  const result = coerceValue(value, type);
+  if (!result.valid) {
+    console.warn(ERROR_MESSAGES.CONFIG_TYPE_MISMATCH(key, type, getValueType(value)));
+    return defaultValue;
+  }
+  if (rule) {
+    const reason = checkRule(result.value, rule);
+    if (reason) {
+      console.warn(ERROR_MESSAGES.CONFIG_VALIDATION_FAILED(key, reason));
+      return defaultValue;
+    }
+  }
+  return result.value;
+}
@@ -18,7 +18,8 @@ export const API_CONFIG = {
     LOG_CONTENT_EVENTS: "/log-content-events",
     LOG_EVENTS_BATCH: "/log-events-batch",
     SUBMIT_FORM: "/submit-form",
-    CUSTOMER: "/customers"
+    CUSTOMER: "/customers",
+    STREAM: "/stream"
   },
   HEADERS: {
     CONTENT_TYPE: "application/json",
@@ -31,7 +32,8 @@ export const RETRY_CONFIG = {
   MAX_RETRIES: 3,
   RETRY_DELAY: 2000, // 2 seconds
   BATCH_SIZE: 100,
-  MAX_LOG_BUFFER: 1000
+  MAX_LOG_BUFFER: 1000,
+  MAX_PERSISTED_LOGS: 500
 };
 
 // Timing Configuration
@@ -41,6 +43,78 @@ export const TIMING_CONFIG = {
   HASH_MULTIPLIER: 31,
   HASH_MODULO: 1000000007,
   DEVELOPMENT_TTL: 0,
+  MAX_PERSISTED_LOG_AGE: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
+  MIN_REFRESH_INTERVAL: 60 * 1000, // 1 minute
+  REFRESH_RETRY_DELAY: 30 * 1000, // 30 seconds
+  MAX_REFRESH_BACKOFF: 60 * 60 * 1000, // 1 hour
+  REALTIME_RETRY_DELAY: 1000, // 1 second
+  MAX_REALTIME_BACKOFF: 60 * 1000, // 1 minute
+};
+
+// Campaign audience rule operators
+export const AUDIENCE_OPERATORS = {
+  EQUALS: "equals",
+  NOT_EQUALS: "notEquals",
+  IN: "in",
+  NOT_IN: "notIn",
+  RANGE: "range",
+  REGEX: "regex",
+  SEMVER: "semver",
+  EXISTS: "exists"
+};
+
+// Campaign schedule statuses
+export const CAMPAIGN_SCHEDULE_STATUS = {
+  SCHEDULED: "scheduled",
+  ACTIVE: "active",
+  ENDED: "ended"
+};
+
+// What happens to a campaign assignment when an anonymous user logs in
+export const LOGIN_BEHAVIORS = {
+  STICKY: "sticky",
+  REBUCKET: "rebucket"
+};
+
+// Query parameter carrying QA variant overrides in URLs and deep links
+export const OVERRIDE_QUERY_PARAM = "resync_override";
+
+// Form validation rules, in the order they are checked
+export const VALIDATION_RULES = {
+  REQUIRED: "required",
+  OPTION: "option",
+  EMAIL: "email",
+  URL: "url",
+  NUMBER: "number",
+  MIN_LENGTH: "minLength",
+  MAX_LENGTH: "maxLength",
+  MIN: "min",
+  MAX: "max",
+  STEP: "step",
+  PATTERN: "pattern"
+};
+
+// Default form validation messages, {placeholders} are replaced with the field settings
+export const VALIDATION_MESSAGES = {
+  required: "{label} is required.",
+  option: "{label} must be one of the available options.",
+  email: "{label} must be a valid email address.",
+  url: "{label} must be a valid URL.",
+  number: "{label} must be a number.",
+  minLength: "{label} must be at least {minLength} characters.",
+  maxLength: "{label} must be at most {maxLength} characters.",
+  min: "{label} must be at least {min}.",
+  max: "{label} must be at most {max}.",
+  step: "{label} must be a multiple of {step}.",
+  pattern: "{label} is not in the expected format."
+};
+
+// Realtime change notification types
+export const REALTIME_MESSAGE_TYPES = {
+  CONFIG: "config",
+  CONTENT: "content",
+  CAMPAIGNS: "campaigns",
+  ALL: "all"
 };
 
 // Log Types
@@ -65,9 +139,19 @@ export const BACKEND_SYSTEM_TEMPLATES = [
   SYSTEM_TEMPLATE_IDS.ROUND_ROBIN
 ];
 
+// Config value types used by the typed config getters
+export const CONFIG_VALUE_TYPES = {
+  BOOLEAN: "boolean",
+  NUMBER: "number",
+  STRING: "string",
+  JSON: "json"
+};
+
 // Storage Configuration
 export const STORAGE_CONFIG = {
   CACHE_KEY: "resync_cache",
+  EVENT_QUEUE_KEY: "event_queue",
+  CAMPAIGN_QUEUE_KEY: "campaign_queue",
   REQUIRED_METHODS: ["getItem", "setItem", "removeItem", "clear"]
 };
 
@@ -79,19 +163,53 @@ export const ERROR_MESSAGES = {
   API_KEY_NOT_SET: "API key is not set. Please initialize Resync with a valid API key.",
   APP_ID_NOT_SET: "App ID is not set. Please initialize Resync with a valid App ID.",
   API_URL_NOT_SET: "API URL is not set. Please initialize Resync with a valid API URL.",
+  API_URL_MUST_BE_STRING: "API URL must be a non-empty string",
+  UNKNOWN_ENDPOINT: (name) => `Unknown endpoint "${name}". Valid endpoints are: ${Object.keys(API_CONFIG.ENDPOINTS).join(", ")}.`,
+  REFRESH_INTERVAL_MUST_BE_POSITIVE: "Auto refresh interval must be a positive number of milliseconds",
+  UNKNOWN_REALTIME_TYPE: (type) => `Unknown realtime connection type "${type}". Use "sse" or "websocket".`,
+  REALTIME_NOT_SUPPORTED: (type) => `${type === "sse" ? "EventSource" : "WebSocket"} is not available in this environment. Please pass one in the realtime options.`,
+  FAILED_REALTIME_REFRESH: "Failed to refresh app data after a realtime change notification:",
+  UNKNOWN_AUDIENCE_OPERATOR: (operator) => `Unknown audience operator "${operator}". The user is treated as outside the audience.`,
+  INVALID_AUDIENCE_RULE: (attribute) => `Invalid audience rule${attribute ? ` for attribute "${attribute}"` : ""}. The user is treated as outside the audience.`,
+  FEATURE_FLAG_NOT_FOUND: (flagName) => `Feature flag "${flagName}" not found. It is treated as disabled.`,
+  INVALID_CAMPAIGN_TIMEZONE: (timeZone) => `Invalid campaign time zone "${timeZone}". Falling back to UTC.`,
+  BOOTSTRAP_MUST_BE_OBJECT: "Bootstrap data must be an app data object with appConfig, content and campaigns.",
+  INVALID_TRANSPORT: "Transport must be a fetch-compatible function or an object with a request method",
+  FETCH_NOT_AVAILABLE: "fetch is not available in this environment. Please initialize Resync with a transport.",
+  ENDPOINT_MUST_BE_STRING: (name) => `Endpoint override for "${name}" must be a non-empty string`,
   CLIENT_MUST_BE_STRING: "Client must be a string",
   ATTRIBUTES_MUST_BE_OBJECT: "Attributes must be an object",
   CALLBACK_MUST_BE_FUNCTION: "Callback must be a function",
   CALLBACK_NOT_FOUND: "Callback not found in subscribers",
   CAMPAIGN_NOT_FOUND: (name) => `Campaign "${name}" not found.`,
   CONFIG_NOT_FOUND: (key) => `Configuration for key "${key}" not found.`,
+  CONFIG_TYPE_MISMATCH: (key, expected, actual) => `Configuration "${key}" should be a ${expected} but is a ${actual}. Falling back to the default value.`,
+  CONFIG_VALIDATION_FAILED: (key, reason) => `Configuration "${key}" ${reason}. Falling back to the default value.`,
+  CONFIG_SCHEMA_TYPE_MISMATCH: (key, schemaType, type) => `Configuration "${key}" is declared as ${schemaType} in the schema but was read as ${type}. Falling back to the default value.`,
+  CONFIG_SCHEMA_MUST_BE_OBJECT: "Config schema must be an object keyed by config key",
+  UNKNOWN_CONFIG_TYPE: (key, type) => `Unknown type "${type}" for configuration "${key}" in the config schema`,
   NO_CONTENT_AVAILABLE: "No content available",
+  CONTENT_VIEW_NOT_FOUND: (nameOrId) => `Content view "${nameOrId}" not found.`,
+  CONTENT_ORPHAN_ITEMS: (name, itemIds) => `Content view "${name}" has items whose parent is missing: ${itemIds.join(", ")}. They are left out of the tree.`,
+  CONTENT_ITEM_CYCLE: (name, itemIds) => `Content view "${name}" has items whose parents form a cycle: ${itemIds.join(", ")}. They are left out of the tree.`,
+  UNSAFE_LINK_URL: (url) => `Link "${url}" was not opened. Only http, https, mailto and tel links are opened.`,
+  FORM_VALIDATION_FAILED: (contentViewId, fieldNames) => `Form of content view "${contentViewId}" has invalid fields: ${fieldNames.join(", ")}. It was not submitted.`,
   NO_IMPRESSION_LOGGED: (name) => `No impression logged for campaign "${name}".`,
+  CONVERSION_ALREADY_RECORDED: (name, conversionId) => conversionId
+    ? `Conversion "${conversionId}" already recorded for campaign "${name}".`
+    : `Conversion already recorded for campaign "${name}".`,
   NO_VARIANT_FOUND: (id) => `No variant found for campaign ID "${id}".`,
   CAMPAIGN_ID_REQUIRED: "Campaign ID and variant value are required",
   CAMPAIGN_NOT_INITIALIZED: "Campaign is not initialized. Please initialize Resync first.",
   CONTENT_LOGGER_NOT_INITIALIZED: "AppLogger is not initialized. Please initialize Resync first.",
-  UNKNOWN_SYSTEM_FUNCTION: (id) => `Unknown system function ID: ${id}`,
+  UNKNOWN_SYSTEM_FUNCTION: (id) => `Unknown system function ID: ${id}. Register an assignment strategy for it with registerAssignmentStrategy.`,
+  STRATEGY_TYPE_MUST_BE_STRING: "Assignment strategy type must be a non-empty string",
+  STRATEGY_MUST_BE_FUNCTION: "Assignment strategy must be a function",
+  SYSTEM_STRATEGY_OVERRIDE: (type) => `"${type}" is a system template and cannot be replaced.`,
+  OVERRIDES_NOT_ALLOWED: "Variant overrides are only allowed in the sandbox environment. Initialize Resync with allowOverrides to enable them.",
+  OVERRIDE_MUST_BE_VARIANT: (name) => `Override for campaign "${name}" must be a content view id or a variant id.`,
+  OVERRIDE_VARIANT_NOT_FOUND: (name, variant) => `Override "${variant}" for campaign "${name}" matches no variant and is ignored.`,
+  FAILED_ASSIGN_VARIANT: (name) => `Failed to assign a variant for campaign "${name}". Falling back to the control:`,
   FAILED_FETCH_APP_CONFIG: "Failed to fetch app config after multiple attempts.",
   FAILED_FETCH_USER_VARIANTS: "Failed to fetch user variants:",
   FAILED_FETCH_SYSTEM_VARIANT: "Failed to fetch system variant:",
@@ -0,0 +1,97 @@
+/**
+ * Content tree helpers for Resync
+ * Resolves the flat content items of a content view, linked by parentItemId and order,
+ * into an ordered tree of sections, lists, list items, forms and elements.
+ */
+
+import { ERROR_MESSAGES } from "./constants.js";
+
+/**
+ * Sorts content items by their display order.
+ * @param {ContentItem[]} items - The items
+ * @returns {ContentItem[]} A sorted copy of the items
+ */
+function sortByOrder(items) {
+  return [...items].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
+
+/**
+ * Finds why an item is not reachable from the root of its content view.
+ * @param {ContentItem} item - The unreachable item
+ * @param {Map<string, ContentItem>} itemsById - All the items of the view by item id
+ * @returns {'hidden'|'orphan'|'cycle'} hidden when an ancestor is not visible,
+ * orphan when an ancestor is missing, cycle when the parent links loop
+ */
+function getUnreachableReason(item, itemsById) {
+  const ancestors = new Set([item.itemId]);
+  let current = item;
+  while (current.parentItemId !== null && current.parentItemId !== undefined) {
+    const parent = itemsById.get(current.parentItemId);
+    if (!parent) {
+      return "orphan";
+    }
+    if (ancestors.has(parent.itemId)) {
+      return "cycle";
+    }
+    if (parent.isVisible === false) {
+      return "hidden";
+    }
+    ancestors.add(parent.itemId);
+    current = parent;
+  }
+  return "hidden";
+}
+
+/**
+ * Builds the content tree of a content view.
+ * Items are nested under their parent and ordered by their order.
+ * Items that are not visible are dropped with their children.
+ * Items whose parent is missing (orphans) or whose parent links loop (cycles)
+ * are left out of the tree, reported in orphans and cycles, and logged as a warning.
+ * @param {ContentView} contentView - The content view
+ * @returns {ContentViewTree} The content view with its resolved tree
+ * @example
+ * const tree = buildContentTree(contentView);
+ * tree.children.forEach((section) => renderSection(section, section.children));
+ */
+export function buildContentTree(contentView) {
+  const { contents = [], ...view } = contentView;
+  const items = contents || [];
+  const itemsById = new Map(items.map((item) => [item.itemId, item]));
+  const childrenByParent = new Map();
+  items.forEach((item) => {
+    const parentItemId = item.parentItemId ?? null;
+    childrenByParent.set(parentItemId, [...(childrenByParent.get(parentItemId) || []), item]);
+  });
+
+  const reached = new Set();
+  const buildNodes = (parentItemId) =>
+    sortByOrder(childrenByParent.get(parentItemId) || [])
+      .filter((item) => item.isVisible !== false && !reached.has(item))
+      .map((item) => {
+        reached.add(item);
+        return { ...item, children: buildNodes(item.itemId) };
+      });
+  const children = buildNodes(null);
+
+  const orphans = [];
+  const cycles = [];
+  items
+    .filter((item) => !reached.has(item) && item.isVisible !== false)
+    .forEach((item) => {
+      const reason = getUnreachableReason(item, itemsById);
+      if (reason === "orphan") {
+        orphans.push(item);
+      } else if (reason === "cycle") {
+        cycles.push(item);
+      }
+    });
+  if (orphans.length > 0) {
+    console.warn(ERROR_MESSAGES.CONTENT_ORPHAN_ITEMS(view.name, orphans.map((item) => item.itemId)));
+  }
+  if (cycles.length > 0) {
+    console.warn(ERROR_MESSAGES.CONTENT_ITEM_CYCLE(view.name, cycles.map((item) => item.itemId)));
+  }
+
+  return { ...view, children, orphans, cycles };
+}
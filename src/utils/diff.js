@@ -0,0 +1,74 @@
+/**
+ * Diff helpers for Resync
+ * Compares two snapshots of the app data to find what changed between loads.
+ */
+
+/**
+ * Deeply compares two JSON-like values.
+ * @param {*} a - The first value
+ * @param {*} b - The second value
+ * @returns {boolean} True if both values are deeply equal
+ */
+export function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) {
+    return false;
+  }
+  return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * Returns the keys whose values differ between two objects, including added and removed keys.
+ * @param {Object} previous - The previous object
+ * @param {Object} next - The next object
+ * @returns {string[]} The changed keys
+ */
+function diffObjects(previous = {}, next = {}) {
+  const keys = new Set([...Object.keys(previous || {}), ...Object.keys(next || {})]);
+  return [...keys].filter((key) => !isEqual(previous?.[key], next?.[key]));
+}
+
+/**
+ * Returns the names of the items that differ between two lists, including added and removed items.
+ * @param {Array<{name: string}>} previous - The previous list
+ * @param {Array<{name: string}>} next - The next list
+ * @returns {string[]} The changed item names
+ */
+function diffNamedLists(previous = [], next = []) {
+  const toMap = (list) => new Map((list || []).map((item) => [item.name, item]));
+  return diffObjects(Object.fromEntries(toMap(previous)), Object.fromEntries(toMap(next)));
+}
+
+/**
+ * Computes the change set between two app data snapshots.
+ * @param {AppDataSnapshot} previous - The previous snapshot
+ * @param {AppDataSnapshot} next - The next snapshot
+ * @returns {ChangeSet} The changed config keys, content view names and campaign names
+ * @example
+ * const changes = diffAppData(
+ *   { configs: { theme: 'light' }, content: [], campaigns: [] },
+ *   { configs: { theme: 'dark' }, content: [], campaigns: [] }
+ * );
+ * // { configs: ['theme'], content: [], campaigns: [], hasChanges: true }
+ */
+export function diffAppData(previous, next) {
+  const configs = diffObjects(previous.configs, next.configs);
+  const content = diffNamedLists(previous.content, next.content);
+  const campaigns = diffNamedLists(previous.campaigns, next.campaigns);
+  return {
+    configs,
+    content,
+    campaigns,
+    hasChanges: configs.length > 0 || content.length > 0 || campaigns.length > 0,
+  };
+}
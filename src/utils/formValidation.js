@@ -0,0 +1,200 @@
+/**
+ * Form validation helpers for Resync
+ * Validates form data against the field definitions of its content view before it is submitted,
+ * with messages that can be localized.
+ */
+
+import { VALIDATION_MESSAGES, VALIDATION_RULES } from "./constants.js";
+
+// Element types that hold a form value
+const FIELD_TYPES = new Set(["input", "select", "checkbox", "radio", "textarea"]);
+
+// Input modes whose values must be numbers
+const NUMERIC_INPUT_MODES = new Set(["numeric", "decimal"]);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Returns the validation settings of a field.
+ * The editor stores them on the item data or its properties, and validationRules take precedence over both.
+ * @param {ContentItem} item - The field item
+ * @returns {Record<string, any>} The field settings
+ */
+function getFieldSettings(item) {
+  return { ...item.data, ...item.data?.properties, ...item.data?.validationRules };
+}
+
+/**
+ * Collects the named form fields of a content tree.
+ * @param {ContentNode[]} nodes - The nodes
+ * @returns {ContentNode[]} The field items, in display order
+ */
+function collectFields(nodes) {
+  return nodes.flatMap((node) => {
+    if (node.type === "element" && FIELD_TYPES.has(node.elementType) && node.name) {
+      return [node];
+    }
+    return collectFields(node.children || []);
+  });
+}
+
+/**
+ * Checks whether a field value is empty. Unchecked checkboxes are empty.
+ * @param {ContentItem} item - The field item
+ * @param {*} value - The value
+ * @returns {boolean} True if the value is empty
+ */
+function isEmptyValue(item, value) {
+  if (item.elementType === "checkbox") {
+    return value !== true && value !== "true";
+  }
+  return value === undefined || value === null || `${value}`.trim() === "";
+}
+
+/**
+ * Checks whether a field setting is set. The editor stores unset settings as null.
+ * @param {*} setting - The setting
+ * @returns {boolean} True if the setting is set
+ */
+function isSet(setting) {
+  return setting !== undefined && setting !== null && setting !== "";
+}
+
+/**
+ * Checks whether a value matches a field pattern, which must match the whole value like the HTML pattern attribute.
+ * Invalid patterns are ignored.
+ * @param {string} pattern - The pattern
+ * @param {string} value - The value
+ * @returns {boolean} True if the value matches or the pattern is invalid
+ */
+function matchesPattern(pattern, value) {
+  try {
+    return new RegExp(`^(?:${pattern})$`).test(value);
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Checks whether a value is an absolute URL.
+ * @param {string} value - The value
+ * @returns {boolean} True if the value is a valid URL
+ */
+function isValidUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Checks whether a value is a multiple of the field step, counted from its minimum.
+ * @param {number} value - The value
+ * @param {Record<string, any>} field - The field settings
+ * @returns {boolean} True if the value is on a step
+ */
+function isOnStep(value, field) {
+  const steps = (value - (field.min ?? 0)) / field.step;
+  // floating point steps such as 0.1 are never exact
+  return Math.abs(steps - Math.round(steps)) < 1e-9;
+}
+
+/**
+ * Finds the first rule a field value breaks.
+ * @param {ContentItem} item - The field item
+ * @param {Record<string, any>} field - The field settings
+ * @param {*} value - The value
+ * @returns {string|null} The broken rule, null if the value is valid
+ */
+function findBrokenRule(item, field, value) {
+  if (isEmptyValue(item, value)) {
+    return field.required ? VALIDATION_RULES.REQUIRED : null;
+  }
+  if (item.elementType === "checkbox") {
+    return null;
+  }
+  if (item.elementType === "select" || item.elementType === "radio") {
+    const options = (field.options || []).filter((option) => !option.disabled);
+    const isOption = options.some((option) => `${option.value}` === `${value}`);
+    return options.length > 0 && !isOption ? VALIDATION_RULES.OPTION : null;
+  }
+
+  const text = `${value}`;
+  if (field.inputMode === "email" && !EMAIL_PATTERN.test(text)) {
+    return VALIDATION_RULES.EMAIL;
+  }
+  if (field.inputMode === "url" && !isValidUrl(text)) {
+    return VALIDATION_RULES.URL;
+  }
+  const isNumeric = NUMERIC_INPUT_MODES.has(field.inputMode) || isSet(field.min) || isSet(field.max) || isSet(field.step);
+  const number = Number(text);
+  if (isNumeric && !Number.isFinite(number)) {
+    return VALIDATION_RULES.NUMBER;
+  }
+  if (isSet(field.minLength) && text.length < field.minLength) {
+    return VALIDATION_RULES.MIN_LENGTH;
+  }
+  if (isSet(field.maxLength) && text.length > field.maxLength) {
+    return VALIDATION_RULES.MAX_LENGTH;
+  }
+  if (isSet(field.min) && number < field.min) {
+    return VALIDATION_RULES.MIN;
+  }
+  if (isSet(field.max) && number > field.max) {
+    return VALIDATION_RULES.MAX;
+  }
+  if (isSet(field.step) && field.step > 0 && !isOnStep(number, field)) {
+    return VALIDATION_RULES.STEP;
+  }
+  if (field.pattern && !matchesPattern(field.pattern, text)) {
+    return VALIDATION_RULES.PATTERN;
+  }
+  return null;
+}
+
+/**
+ * Formats a validation message, replacing its {placeholders} with the field settings.
+ * @param {string|function(Object): string} message - The message, or a function returning it
+ * @param {Record<string, any>} params - The field settings, with its label, name and value
+ * @returns {string} The message
+ */
+function formatMessage(message, params) {
+  if (typeof message === "function") {
+    return message(params);
+  }
+  return `${message}`.replace(/\{(\w+)\}/g, (placeholder, key) => `${params[key] ?? placeholder}`);
+}
+
+/**
+ * Validates form data against the fields of a content view.
+ * Each field is checked for the first rule it breaks: required, option, email, url, number,
+ * minLength, maxLength, min, max, step and pattern.
+ * Messages are taken, in order, from the validationRules of the field (messages per rule, or one message),
+ * the messages passed in, and the default messages.
+ * @param {ContentViewTree} contentView - The content view of the form
+ * @param {Record<string, any>} data - The form values keyed by field name
+ * @param {ValidationMessages} [messages] - Messages by rule, replacing the default ones
+ * @returns {FormValidationResult} Whether the data is valid, and the errors keyed by field name
+ * @example
+ * validateFormData(view, { email: 'john@' }, { email: 'Adresse e-mail invalide.' });
+ * // { valid: false, errors: { email: { rule: 'email', message: 'Adresse e-mail invalide.' } } }
+ */
+export function validateFormData(contentView, data = {}, messages = {}) {
+  const errors = {};
+  collectFields(contentView.children || []).forEach((item) => {
+    const field = getFieldSettings(item);
+    const value = data?.[item.name];
+    const rule = findBrokenRule(item, field, value);
+    if (!rule) {
+      return;
+    }
+    const message = field.messages?.[rule] ?? field.message ?? messages[rule] ?? VALIDATION_MESSAGES[rule];
+    errors[item.name] = {
+      rule,
+      message: formatMessage(message, { ...field, label: field.label || item.name, name: item.name, value }),
+    };
+  });
+  return { valid: Object.keys(errors).length === 0, errors };
+}
@@ -0,0 +1,38 @@
+/**
+ * Override helpers for Resync
+ * Reads QA variant overrides from deep links and URL queries.
+ */
+
+import { OVERRIDE_QUERY_PARAM } from "./constants.js";
+
+/**
+ * Reads the variant overrides of a URL or deep link.
+ * Overrides are passed as `resync_override=<campaignName>:<contentViewId or variantId>`,
+ * repeated or comma separated for several campaigns.
+ * Values are kept as strings, and matched against the variant ids of the campaign before its content view ids.
+ * @param {string} url - The URL or deep link
+ * @returns {{[campaignName: string]: string}} The overrides keyed by campaign name
+ * @example
+ * parseOverrides('myapp://home?resync_override=checkout_button:12,pricing_test:variantB');
+ * // { checkout_button: '12', pricing_test: 'variantB' }
+ */
+export function parseOverrides(url) {
+  const queryIndex = `${url || ""}`.indexOf("?");
+  if (queryIndex === -1) {
+    return {};
+  }
+  const query = `${url}`.slice(queryIndex + 1).split("#")[0];
+  const overrides = {};
+  new URLSearchParams(query)
+    .getAll(OVERRIDE_QUERY_PARAM)
+    .flatMap((param) => param.split(","))
+    .forEach((entry) => {
+      // campaign names may contain colons, the value never does
+      const separatorIndex = entry.lastIndexOf(":");
+      if (separatorIndex <= 0 || separatorIndex === entry.length - 1) {
+        return;
+      }
+      overrides[entry.slice(0, separatorIndex).trim()] = entry.slice(separatorIndex + 1).trim();
+    });
+  return overrides;
+}
@@ -0,0 +1,114 @@
+/**
+ * Schedule helpers for Resync
+ * Resolves campaign start and end dates, so scheduled campaigns activate and expire on the device
+ * without waiting for the next fetch.
+ */
+
+import { CAMPAIGN_SCHEDULE_STATUS, ERROR_MESSAGES } from "./constants.js";
+
+// ISO date strings ending with Z or a UTC offset (e.g. +02:00) describe an exact instant
+const EXPLICIT_OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+// Dates without a time (e.g. 2026-03-31) describe a whole day
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the offset of a time zone from UTC at a given instant.
+ * @param {number} timestamp - The instant in milliseconds
+ * @param {string} timeZone - The IANA time zone (e.g. 'America/New_York')
+ * @returns {number} The offset in milliseconds, positive east of UTC
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(timestamp));
+  const values = Object.fromEntries(parts.map(({ type, value }) => [type, Number(value)]));
+  const wallClockTime = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+  return wallClockTime - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Parses a campaign schedule date.
+ * Dates with an explicit offset are exact instants. Other dates are wall clock times
+ * in the given time zone, or in UTC when no time zone is set.
+ * @param {string} date - The ISO date (e.g. '2026-03-01T09:00:00')
+ * @param {string} [timeZone] - The IANA time zone of the date
+ * @returns {number|null} The instant in milliseconds or null if the date is invalid
+ * @example
+ * parseScheduleDate('2026-03-01T09:00:00', 'Europe/Paris'); // 2026-03-01T08:00:00.000Z
+ */
+export function parseScheduleDate(date, timeZone) {
+  if (!date) {
+    return null;
+  }
+  const value = `${date}`.trim();
+  const isDateOnly = DATE_ONLY_PATTERN.test(value);
+  const hasOffset = !isDateOnly && EXPLICIT_OFFSET_PATTERN.test(value);
+  const utcValue = hasOffset ? value : `${isDateOnly ? `${value}T00:00:00` : value}Z`;
+  const wallClockTime = Date.parse(utcValue);
+  if (Number.isNaN(wallClockTime)) {
+    return null;
+  }
+  if (hasOffset || !timeZone) {
+    return wallClockTime;
+  }
+  try {
+    // the offset is checked twice, in case the first guess is on the other side of a DST change
+    const guess = wallClockTime - getTimeZoneOffset(wallClockTime, timeZone);
+    return wallClockTime - getTimeZoneOffset(guess, timeZone);
+  } catch (error) {
+    console.warn(ERROR_MESSAGES.INVALID_CAMPAIGN_TIMEZONE(timeZone));
+    return wallClockTime;
+  }
+}
+
+/**
+ * Parses a campaign end date. Date-only end dates include their whole day,
+ * so the campaign ends at the midnight that follows.
+ * @param {string} date - The ISO date (e.g. '2026-03-31')
+ * @param {string} [timeZone] - The IANA time zone of the date
+ * @returns {number|null} The instant the campaign ends in milliseconds or null if the date is invalid
+ */
+function parseScheduleEndDate(date, timeZone) {
+  const value = `${date ?? ""}`.trim();
+  const day = Date.parse(`${value}T00:00:00Z`);
+  if (!DATE_ONLY_PATTERN.test(value) || Number.isNaN(day)) {
+    return parseScheduleDate(date, timeZone);
+  }
+  const nextDay = new Date(day + DAY_IN_MS).toISOString().slice(0, 10);
+  return parseScheduleDate(nextDay, timeZone);
+}
+
+/**
+ * Returns whether a campaign is scheduled, running or ended at a given time.
+ * Campaigns without date settings are always active, and date-only end dates include their last day.
+ * @param {CampaignDateSettings} [dateSettings] - The campaign date settings
+ * @param {number} now - The current time in milliseconds
+ * @returns {string} One of the CAMPAIGN_SCHEDULE_STATUS values
+ * @example
+ * getScheduleStatus({ startDate: '2026-03-01', endDate: '2026-03-31' }, Date.now());
+ */
+export function getScheduleStatus(dateSettings, now) {
+  if (!dateSettings) {
+    return CAMPAIGN_SCHEDULE_STATUS.ACTIVE;
+  }
+  const { startDate, endDate, timezone } = dateSettings;
+  const start = parseScheduleDate(startDate, timezone);
+  const end = parseScheduleEndDate(endDate, timezone);
+  if (start !== null && now < start) {
+    return CAMPAIGN_SCHEDULE_STATUS.SCHEDULED;
+  }
+  if (end !== null && now >= end) {
+    return CAMPAIGN_SCHEDULE_STATUS.ENDED;
+  }
+  return CAMPAIGN_SCHEDULE_STATUS.ACTIVE;
+}
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { matchesAudience } from "../src/utils/audience.js";
+import { createCampaign, createTestClient } from "./helpers.js";
+
+const audience = {
+  and: [
+    { attribute: "country", operator: "in", value: ["US", "CA"] },
+    {
+      or: [
+        { attribute: "age", operator: "range", value: { min: 18, max: 35 } },
+        { attribute: "plan", operator: "equals", value: "premium" },
+      ],
+    },
+  ],
+};
+
+test("audience rules match on user fields and custom attributes", () => {
+  assert.equal(matchesAudience(audience, { country: "us", age: 25 }), true);
+  assert.equal(matchesAudience(audience, { country: "CA", age: 50, attributes: { plan: "premium" } }), true);
+  assert.equal(matchesAudience(audience, { country: "CA", age: 50, attributes: { plan: "free" } }), false);
+  assert.equal(matchesAudience(audience, { country: "FR", age: 25 }), false);
+  // attributes that are not set never match
+  assert.equal(matchesAudience(audience, { age: 25 }), false);
+
+  assert.equal(matchesAudience({ attribute: "appVersion", operator: "semver", value: ">=2.1.0 <3.0.0" }, { appVersion: "2.4.1" }), true);
+  assert.equal(matchesAudience({ attribute: "appVersion", operator: "semver", value: ">=2.1.0 <3.0.0" }, { appVersion: "3.0.0" }), false);
+  assert.equal(matchesAudience({ attribute: "email", operator: "regex", value: "@example\\.com$" }, { email: "jane@example.com" }), true);
+  assert.equal(matchesAudience({ attribute: "language", operator: "notIn", value: ["fr"] }, { language: "FR" }), false);
+  assert.equal(matchesAudience({ attribute: "attributes.plan", operator: "exists" }, { attributes: { plan: "free" } }), true);
+  assert.equal(matchesAudience(undefined, {}), true);
+});
+
+test("users outside the audience get the control without being assigned", async () => {
+  const campaign = createCampaign(1, {
+    audience,
+    variants: [
+      { id: "a", contentViewId: 11, weight: 100 },
+      { id: "control", contentViewId: 10, weight: 0, default: true },
+    ],
+  });
+  const { client } = await createTestClient(() => ({ appConfig: {}, content: [], campaigns: [campaign] }));
+  assert.equal(await client.getVariant("campaign_1"), 10);
+  assert.equal(await client.trackExposure("campaign_1"), false);
+
+  await client.logInUser("user-1");
+  await client.setUserAttributes({ country: "US", age: 25 });
+  assert.equal(await client.getVariant("campaign_1"), 11);
+  client.destroy();
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCampaign, createTestClient, createTestTransport } from "./helpers.js";
+
+const campaigns = [
+  createCampaign(1, {
+    abTestType: "bandit-epsilon-greedy",
+    epsilon: 0,
+    armStats: [
+      { variantId: "a", impressions: 100, conversions: 1 },
+      { variantId: "control", impressions: 100, conversions: 20 },
+    ],
+  }),
+];
+const getAppData = () => ({ appConfig: {}, content: [], campaigns });
+
+/**
+ * Creates a test transport that answers arm pulls with the given response.
+ * @param {{status: number, data: Object|null}} armResponse - The response of the system variant endpoint
+ * @returns {{request: function(Object): Promise<Object>, requests: Array<{url: string, body: Object}>}} The transport
+ */
+function createBanditTransport(armResponse) {
+  const transport = createTestTransport(getAppData);
+  return {
+    requests: transport.requests,
+    async request(options) {
+      if (options.url.endsWith("/get-system-variant")) {
+        transport.requests.push({ url: options.url, body: JSON.parse(options.body) });
+        return armResponse;
+      }
+      return transport.request(options);
+    },
+  };
+}
+
+/**
+ * Returns the content view ids of the conversions a transport has sent.
+ * @param {{requests: Array<{url: string, body: Object}>}} transport - The transport
+ * @returns {number[]} The content view ids
+ */
+function getConversions(transport) {
+  return transport.requests
+    .filter(({ url, body }) => url.includes("/log-campaign-event") && body?.eventType === "CONVERSION")
+    .map(({ body }) => body.contentViewId);
+}
+
+test("bandit arms are pulled from the API on every call and rewarded once per pull", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const transport = createBanditTransport({ status: 200, data: { variantId: "a" } });
+  const { client } = await createTestClient(getAppData, { transport });
+  assert.equal(await client.getVariant("campaign_1"), 11);
+  assert.equal(await client.recordConversion("campaign_1", { value: 1 }), true);
+  assert.equal(await client.recordConversion("campaign_1", { value: 1 }), false);
+
+  // the arm is not stored as the user's assignment, so the next call pulls again
+  assert.equal(await client.getVariant("campaign_1"), 11);
+  assert.equal(await client.recordConversion("campaign_1", { value: 1 }), true);
+  assert.equal(transport.requests.filter(({ url }) => url.endsWith("/get-system-variant")).length, 2);
+  assert.deepEqual(getConversions(transport), [11, 11]);
+  client.destroy();
+});
+
+test("offline bandit pulls pick the best arm of the cached stats", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const transport = createBanditTransport({ status: 500, data: null });
+  const { client } = await createTestClient(getAppData, { transport });
+  assert.equal(await client.getVariant("campaign_1"), 10);
+  assert.equal(await client.recordConversion("campaign_1"), true);
+  assert.deepEqual(getConversions(transport), [10]);
+  client.destroy();
+});
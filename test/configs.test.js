@@ -0,0 +1,18 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Resync } from "../src/core/Resync.js";
+import { createMemoryStorage, createTestTransport } from "./helpers.js";
+
+test("typed getters return the default value synchronously before the first load", async () => {
+  const client = new Resync();
+  const transport = createTestTransport(() => ({ appConfig: { THEME: "dark", MAX_RETRIES: 5 }, content: [], campaigns: [] }));
+  const loaded = new Promise((resolve) => client.subscribe(resolve));
+  const initialized = client.init({ key: "test-key", appId: 1, environment: "sandbox", storage: createMemoryStorage(), transport });
+  assert.equal(client.getString("THEME", "light"), "light");
+  assert.equal(client.getNumber("MAX_RETRIES", 3), 3);
+  await initialized;
+  await loaded;
+  assert.equal(client.getString("THEME", "light"), "dark");
+  assert.equal(client.getNumber("MAX_RETRIES", 3), 5);
+  client.destroy();
+});
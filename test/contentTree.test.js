@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ERROR_MESSAGES } from "../src/utils/constants.js";
+import { buildContentTree } from "../src/utils/contentTree.js";
+import { createTestClient } from "./helpers.js";
+
+/**
+ * Creates a content item.
+ * @param {string} itemId - The item id
+ * @param {string|null} parentItemId - The parent item id
+ * @param {number} order - The display order
+ * @param {Partial<ContentItem>} [settings] - Other item settings
+ * @returns {ContentItem} The content item
+ */
+function createItem(itemId, parentItemId, order, settings = {}) {
+  return { itemId, parentItemId, order, type: "element", name: itemId, data: {}, isVisible: true, ...settings };
+}
+
+/**
+ * Returns the item ids of a tree, nested like the tree.
+ * @param {Array<{itemId: string, children: Array}>} nodes - The tree nodes
+ * @returns {Array} The item ids, with the ids of their children after them
+ */
+function getIds(nodes) {
+  return nodes.map(({ itemId, children }) => (children.length > 0 ? [itemId, getIds(children)] : itemId));
+}
+
+test("content items are nested under their parent in display order", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const tree = buildContentTree({
+    id: 1,
+    name: "home",
+    contents: [
+      createItem("list", "hero", 2, { type: "list" }),
+      createItem("title", "hero", 1),
+      createItem("hero", null, 1, { type: "section" }),
+      createItem("item-2", "list", 2, { type: "list-item" }),
+      createItem("item-1", "list", 1, { type: "list-item" }),
+      createItem("footer", null, 2, { type: "section", isVisible: false }),
+      createItem("legal", "footer", 1),
+      createItem("lost", "removed", 1),
+      createItem("loop-a", "loop-b", 1),
+      createItem("loop-b", "loop-a", 1),
+    ],
+  });
+  assert.deepEqual(getIds(tree.children), [["hero", ["title", ["list", ["item-1", "item-2"]]]]]);
+  assert.deepEqual(tree.orphans.map(({ itemId }) => itemId), ["lost"]);
+  assert.deepEqual(tree.cycles.map(({ itemId }) => itemId).sort(), ["loop-a", "loop-b"]);
+  assert.equal(console.warn.mock.callCount(), 2);
+});
+
+test("content view trees are memoized until the content is reloaded", async () => {
+  let title = "Welcome";
+  const getAppData = () => ({
+    appConfig: {},
+    campaigns: [],
+    content: [{ id: 1, name: "home", contents: [createItem("title", null, 1, { data: { text: title } })] }],
+  });
+  const { client } = await createTestClient(getAppData);
+  const view = await client.getContentView("home");
+  assert.equal(await client.getContentView(1), view);
+  assert.equal(view.children[0].data.text, "Welcome");
+  assert.throws(() => client.getContentView("missing"), { message: ERROR_MESSAGES.CONTENT_VIEW_NOT_FOUND("missing") });
+
+  title = "Welcome back";
+  await client.reload();
+  const reloaded = await client.getContentView("home");
+  assert.notEqual(reloaded, view);
+  assert.equal(reloaded.children[0].data.text, "Welcome back");
+  client.destroy();
+});
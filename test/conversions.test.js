@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCampaign, createTestClient } from "./helpers.js";
+
+const campaigns = [
+  createCampaign(1, { winningVariantId: "a" }),
+  createCampaign(2, { abTestType: "time-based" }),
+  createCampaign(3),
+];
+const getAppData = () => ({ appConfig: {}, content: [], campaigns });
+
+/**
+ * Returns the content view ids the conversions a transport has sent were attributed to.
+ * @param {{requests: Array<{url: string, body: Object}>}} transport - The transport
+ * @returns {number[]} The content view ids
+ */
+function getConversions(transport) {
+  return transport.requests
+    .filter(({ url, body }) => url.includes("/log-campaign-event") && body?.eventType === "CONVERSION")
+    .map(({ body }) => body.contentViewId);
+}
+
+test("conversions are recorded against the variant served, even when it is not stored", async () => {
+  const { client, transport } = await createTestClient(getAppData);
+  const winner = await client.getVariant("campaign_1");
+  const rotated = await client.getVariant("campaign_2");
+  assert.equal(winner, 11);
+
+  assert.equal(await client.recordConversion("campaign_1"), true);
+  assert.equal(await client.recordConversion("campaign_2"), true);
+  assert.deepEqual(getConversions(transport), [winner, rotated]);
+  client.destroy();
+});
+
+test("conversions of users who were served no variant are skipped", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { client, transport } = await createTestClient(getAppData);
+  assert.equal(await client.recordConversion("campaign_1"), false);
+  assert.equal(await client.recordConversion("campaign_3"), false);
+
+  await client.getVariant("campaign_3");
+  assert.equal(await client.recordConversion("campaign_3"), true);
+  assert.equal(await client.recordConversion("campaign_3"), false);
+  assert.equal(getConversions(transport).length, 1);
+  client.destroy();
+});
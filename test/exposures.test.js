@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCampaign, createMemoryStorage, createTestClient } from "./helpers.js";
+
+const campaigns = [createCampaign(1)];
+const getAppData = () => ({ appConfig: {}, content: [], campaigns });
+
+/**
+ * Counts the impressions a transport has sent.
+ * @param {{requests: Array<{url: string, body: Object}>}} transport - The transport
+ * @returns {number} The number of impressions
+ */
+function countImpressions(transport) {
+  return transport.requests.filter(({ url, body }) => url.includes("/log-campaign-event") && body?.eventType === "IMPRESSION").length;
+}
+
+test("getVariant logs no exposure unless auto exposure is enabled", async () => {
+  const { client, transport } = await createTestClient(getAppData);
+  await client.getVariant("campaign_1");
+  assert.equal(countImpressions(transport), 0);
+
+  await client.trackExposure("campaign_1");
+  assert.equal(countImpressions(transport), 1);
+  client.destroy();
+});
+
+test("exposures are logged once per session and user", async () => {
+  const storage = createMemoryStorage();
+  const { client, transport } = await createTestClient(getAppData, { storage, autoExposure: true });
+  await client.getVariant("campaign_1");
+  await client.getVariant("campaign_1");
+  assert.equal(countImpressions(transport), 1);
+  client.destroy();
+
+  // the session is restored from storage, so are its exposures
+  const restarted = await createTestClient(getAppData, { storage, autoExposure: true });
+  await restarted.client.getVariant("campaign_1");
+  assert.equal(countImpressions(restarted.transport), 0);
+
+  await restarted.client.logInUser("user-1");
+  await restarted.client.getVariant("campaign_1");
+  assert.equal(countImpressions(restarted.transport), 1);
+
+  await restarted.client.logout();
+  await restarted.client.getVariant("campaign_1");
+  assert.equal(countImpressions(restarted.transport), 2);
+  restarted.client.destroy();
+});
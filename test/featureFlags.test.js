@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCampaign, createTestClient, forEachUser } from "./helpers.js";
+
+test("feature flags follow the logged in user across sessions", async () => {
+  const campaigns = [createCampaign(1, { name: "new_checkout", abTestType: "feature-flag-rollout", rolloutPercent: 50 })];
+  const getAppData = () => ({ appConfig: {}, content: [], campaigns });
+  let enabled = 0;
+  await forEachUser(getAppData, async (client, userId) => {
+    await client.logInUser(userId);
+    const isEnabled = client.isFeatureEnabled("new_checkout");
+    enabled += isEnabled ? 1 : 0;
+    // the same user on another device, with its own session
+    const { client: otherClient } = await createTestClient(getAppData);
+    await otherClient.logInUser(userId);
+    assert.equal(otherClient.isFeatureEnabled("new_checkout"), isEnabled, userId);
+    otherClient.destroy();
+  });
+  assert.ok(enabled > 0 && enabled < 40);
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTestClient } from "./helpers.js";
+
+/**
+ * Creates a form field item.
+ * @param {string} name - The field name
+ * @param {number} order - The display order
+ * @param {string} elementType - The element type
+ * @param {Record<string, any>} data - The field settings
+ * @returns {ContentItem} The field item
+ */
+function createField(name, order, elementType, data) {
+  return { itemId: name, parentItemId: "signup", order, type: "element", elementType, name, data, isVisible: true };
+}
+
+const content = [{
+  id: 5,
+  name: "signup_form",
+  contents: [
+    { itemId: "signup", parentItemId: null, order: 1, type: "form", name: "signup", data: {}, isVisible: true },
+    createField("email", 1, "input", { label: "Email", required: true, inputMode: "email" }),
+    createField("age", 2, "input", { label: "Age", min: 18, max: 99, step: 1 }),
+    createField("plan", 3, "select", { label: "Plan", options: [{ value: "free" }, { value: "pro" }] }),
+    createField("code", 4, "input", {
+      label: "Code",
+      validationRules: { pattern: "[A-Z]{3}-\\d{3}", messages: { pattern: "Use a code like ABC-123." } },
+    }),
+    createField("terms", 5, "checkbox", { label: "Terms", required: true }),
+  ],
+}];
+const getAppData = () => ({ appConfig: {}, campaigns: [], content });
+
+const validData = { email: "jane@example.com", age: "30", plan: "pro", code: "ABC-123", terms: true };
+
+test("form data is validated against the fields of its content view", async () => {
+  const { client } = await createTestClient(getAppData);
+  assert.deepEqual(await client.validateForm(5, validData), { valid: true, errors: {} });
+
+  const { valid, errors } = await client.validateForm(5, { email: "jane@", age: "17.5", plan: "team", code: "abc" });
+  assert.equal(valid, false);
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(errors).map(([name, { rule }]) => [name, rule])),
+    { email: "email", age: "min", plan: "option", code: "pattern", terms: "required" }
+  );
+  assert.equal(errors.email.message, "Email must be a valid email address.");
+  assert.equal(errors.age.message, "Age must be at least 18.");
+  assert.equal(errors.code.message, "Use a code like ABC-123.");
+
+  const localized = await client.validateForm(5, { ...validData, email: "" }, { messages: { required: "{label} est obligatoire." } });
+  assert.equal(localized.errors.email.message, "Email est obligatoire.");
+  client.destroy();
+});
+
+test("invalid forms are not submitted unless validation is skipped", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { client, transport } = await createTestClient(getAppData);
+  const submissions = () => transport.requests.filter(({ url }) => url.endsWith("/submit-form")).length;
+
+  assert.equal(await client.submitForm({ contentViewId: 5, data: { ...validData, terms: false } }), false);
+  assert.equal(submissions(), 0);
+  assert.equal(await client.submitForm({ contentViewId: 5, data: validData }), true);
+  assert.equal(await client.submitForm({ contentViewId: 5, data: {} }, { skipValidation: true }), true);
+  assert.equal(submissions(), 2);
+  client.destroy();
+});
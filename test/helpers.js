@@ -0,0 +1,105 @@
+/**
+ * Test helpers for Resync
+ * Creates clients backed by an in-memory storage and a scripted transport, without network access.
+ */
+
+import { Resync } from "../src/core/Resync.js";
+
+/**
+ * Creates an in-memory storage adapter.
+ * @returns {StorageInterface} The storage
+ */
+export function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: async (key) => items.get(key) ?? null,
+    setItem: async (key, value) => {
+      items.set(key, value);
+    },
+    removeItem: async (key) => {
+      items.delete(key);
+    },
+    clear: async () => items.clear(),
+  };
+}
+
+/**
+ * Creates a transport that answers app data requests with the app data returned by getAppData,
+ * and every other request with a success. Requests are recorded with their parsed body.
+ * @param {function(Object[]): (AppConfigResponse|Promise<AppConfigResponse>|null)} getAppData - Returns the app data, called with the requests sent so far
+ * @returns {{request: function(Object): Promise<Object>, requests: Array<{url: string, body: Object}>}} The transport
+ */
+export function createTestTransport(getAppData) {
+  const requests = [];
+  return {
+    requests,
+    async request({ url, body }) {
+      requests.push({ url, body: body ? JSON.parse(body) : null });
+      if (url.endsWith("/app-data")) {
+        const data = await getAppData(requests);
+        return data ? { status: 200, data } : { status: 500, data: null };
+      }
+      return { status: 200, data: true };
+    },
+  };
+}
+
+/**
+ * Creates a sandbox client and waits for its first load.
+ * @param {function(Object[]): (AppConfigResponse|Promise<AppConfigResponse>|null)} getAppData - Returns the app data, called with the requests sent so far
+ * @param {Partial<InitOptions>} [options] - Init options
+ * @returns {Promise<{client: Resync, transport: Object}>} The loaded client and its transport
+ */
+export async function createTestClient(getAppData, options = {}) {
+  const client = new Resync();
+  const transport = createTestTransport(getAppData);
+  const loaded = new Promise((resolve) => client.subscribe(resolve));
+  await client.init({
+    key: "test-key",
+    appId: 1,
+    environment: "sandbox",
+    storage: createMemoryStorage(),
+    transport,
+    ...options,
+  });
+  await loaded;
+  return { client, transport };
+}
+
+/**
+ * Runs a callback for a number of users, each with a fresh loaded client that is destroyed afterwards.
+ * @param {function(Object[]): (AppConfigResponse|Promise<AppConfigResponse>|null)} getAppData - Returns the app data, called with the requests sent so far
+ * @param {function(Resync, string, Object): Promise<void>} callback - Called with the client, the user id the test may log in with, and the transport
+ * @param {{count?: number} & Partial<InitOptions>} [options] - The number of users, 40 by default, and init options
+ * @returns {Promise<void>}
+ */
+export async function forEachUser(getAppData, callback, { count = 40, ...options } = {}) {
+  for (let index = 0; index < count; index++) {
+    const { client, transport } = await createTestClient(getAppData, options);
+    try {
+      await callback(client, `user-${index}`, transport);
+    } finally {
+      client.destroy();
+    }
+  }
+}
+
+/**
+ * Creates a campaign with two variants of equal weight.
+ * The control is the default variant, listed last so that it is only picked by its default flag.
+ * @param {number} id - The campaign id
+ * @param {Partial<Campaign>} [settings] - Other campaign settings
+ * @returns {Campaign} The campaign
+ */
+export function createCampaign(id, settings = {}) {
+  return {
+    id,
+    name: `campaign_${id}`,
+    status: "running",
+    variants: [
+      { id: "a", contentViewId: id * 10 + 1, weight: 50 },
+      { id: "control", contentViewId: id * 10, weight: 50, default: true },
+    ],
+    ...settings,
+  };
+}
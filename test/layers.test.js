@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isInHoldout, isInLayer, weightedRolloutTemplate } from "../src/templates/AbSystemTemplate.js";
+import { createCampaign, createTestClient } from "./helpers.js";
+
+const USERS = 2000;
+const userIds = Array.from({ length: USERS }, (_, i) => `user-${i}`);
+
+test("the weighted distribution is pinned, so running experiments are never reshuffled", () => {
+  const campaign = createCampaign(7, {
+    variants: [
+      { id: "a", contentViewId: 71, weight: 50 },
+      { id: "b", contentViewId: 72, weight: 50 },
+    ],
+  });
+  const firstUsers = userIds.slice(0, 12);
+  assert.deepEqual(
+    firstUsers.map((userId) => weightedRolloutTemplate(campaign, userId).id),
+    ["a", "b", "a", "b", "b", "b", "a", "b", "a", "a", "b", "b"]
+  );
+  // a campaign salt draws new buckets
+  assert.deepEqual(
+    firstUsers.map((userId) => weightedRolloutTemplate({ ...campaign, salt: "reshuffle" }, userId).id),
+    ["b", "a", "b", "b", "a", "a", "a", "a", "a", "a", "a", "b"]
+  );
+});
+
+test("variants of different campaigns are not correlated", () => {
+  const first = createCampaign(1);
+  const second = createCampaign(2);
+  const sameVariant = userIds.filter(
+    (userId) => weightedRolloutTemplate(first, userId).id === weightedRolloutTemplate(second, userId).id
+  ).length;
+  assert.ok(Math.abs(sameVariant / USERS - 0.5) < 0.05, `${sameVariant} users got the same variant`);
+});
+
+test("users enter at most one campaign per layer", () => {
+  const campaigns = [
+    createCampaign(1, { layer: "checkout" }),
+    createCampaign(2, { layer: "checkout" }),
+    createCampaign(3, { layer: "checkout", layerRange: { start: 0, end: 20 } }),
+    createCampaign(4),
+  ];
+  const entered = { 1: 0, 2: 0, 3: 0, 4: 0 };
+  for (const userId of userIds) {
+    const layerCampaigns = campaigns.filter((campaign) => isInLayer(campaign, campaigns, userId));
+    assert.equal(layerCampaigns.filter((campaign) => campaign.layer).length, 1);
+    layerCampaigns.forEach(({ id }) => entered[id]++);
+  }
+  // the range is reserved, and the rest of the layer is split evenly
+  assert.ok(Math.abs(entered[3] / USERS - 0.2) < 0.03);
+  assert.ok(Math.abs(entered[1] / USERS - 0.4) < 0.03);
+  assert.ok(Math.abs(entered[2] / USERS - 0.4) < 0.03);
+  assert.equal(entered[4], USERS);
+});
+
+test("the holdout keeps its share of users out of every campaign", async () => {
+  const heldOut = userIds.filter((userId) => isInHoldout({ percent: 10 }, userId));
+  assert.ok(Math.abs(heldOut.length / USERS - 0.1) < 0.02);
+  const reshuffled = heldOut.filter((userId) => isInHoldout({ percent: 10, salt: "2027" }, userId));
+  assert.ok(reshuffled.length < heldOut.length / 2);
+
+  const campaigns = [
+    createCampaign(1, {
+      variants: [
+        { id: "a", contentViewId: 11, weight: 100 },
+        { id: "control", contentViewId: 10, weight: 0, default: true },
+      ],
+    }),
+  ];
+  const { client } = await createTestClient(() => ({ appConfig: {}, content: [], campaigns, holdout: { percent: 100 } }));
+  assert.equal(await client.getVariant("campaign_1"), 10);
+  assert.equal(await client.trackExposure("campaign_1"), false);
+  client.destroy();
+});
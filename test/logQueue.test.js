@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ResyncCache } from "../src/core/ResyncCache.js";
+import { LogQueue } from "../src/services/LogQueue.js";
+import { RETRY_CONFIG, TIMING_CONFIG } from "../src/utils/constants.js";
+import { createMemoryStorage } from "./helpers.js";
+
+/**
+ * Waits for the pending transport responses and storage writes.
+ * @returns {Promise<void>}
+ */
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Creates a log queue backed by a cache on the given storage and a transport answering with ok.
+ * @param {StorageInterface} storage - The storage
+ * @param {{ok: boolean}} answer - The transport answer, changed by the test to make the backend recover
+ * @returns {Promise<{queue: LogQueue, batches: Array<Object[]>}>} The queue and the batches it sent
+ */
+async function createQueue(storage, answer) {
+  const cache = new ResyncCache();
+  await cache.init(storage);
+  const batches = [];
+  const transport = {
+    request: async (endpoint, { body }) => {
+      batches.push(body);
+      return { ok: answer.ok };
+    },
+  };
+  const queue = new LogQueue({ cache, transport, storageKey: "test_queue", endpoint: "LOG_EVENTS_BATCH" });
+  return { queue, batches };
+}
+
+/**
+ * Advances the mocked timers by one flush interval and waits for the flush to settle.
+ * @param {TestContext} t - The test context
+ * @returns {Promise<void>}
+ */
+async function flush(t) {
+  t.mock.timers.tick(TIMING_CONFIG.FLUSH_INTERVAL);
+  await settle();
+}
+
+test("pending logs survive a restart until the backend accepts them", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "setInterval"] });
+  const storage = createMemoryStorage();
+  const answer = { ok: false };
+  const { queue } = await createQueue(storage, answer);
+  queue.add([{ eventId: "evt-1", timestamp: new Date().toISOString() }]);
+  await flush(t);
+  queue.stop();
+
+  answer.ok = true;
+  const restarted = await createQueue(storage, answer);
+  await restarted.queue.restoreLogs();
+  await flush(t);
+  assert.deepEqual(restarted.batches.map((batch) => batch.map((log) => log.eventId)), [["evt-1"]]);
+
+  const next = await createQueue(storage, answer);
+  await next.queue.restoreLogs();
+  assert.equal(next.queue.logs.length, 0);
+  restarted.queue.stop();
+  next.queue.stop();
+});
+
+test("a queue whose retries ran out flushes again when new logs are added", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "setInterval"] });
+  t.mock.method(console, "warn", () => {});
+  const answer = { ok: false };
+  const { queue, batches } = await createQueue(createMemoryStorage(), answer);
+  queue.add([{ eventId: "evt-1", timestamp: new Date().toISOString() }]);
+  for (let i = 0; i <= RETRY_CONFIG.MAX_RETRIES + 1; i++) {
+    await flush(t);
+  }
+  assert.equal(batches.length, RETRY_CONFIG.MAX_RETRIES + 1);
+  assert.equal(queue.timeoutId, null);
+
+  answer.ok = true;
+  queue.add([{ eventId: "evt-2", timestamp: new Date().toISOString() }]);
+  await flush(t);
+  assert.deepEqual(batches.at(-1).map((log) => log.eventId), ["evt-2", "evt-1"]);
+  assert.equal(queue.logs.length, 0);
+  queue.stop();
+});
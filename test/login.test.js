@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCampaign, createTestClient, forEachUser } from "./helpers.js";
+
+/**
+ * Reads the variant ids of campaigns for the current user.
+ * @param {Resync} client - The client
+ * @param {Campaign[]} campaigns - The campaigns
+ * @returns {Promise<string[]>} The variant ids
+ */
+async function getVariantIds(client, campaigns) {
+  return Promise.all(campaigns.map(async (campaign) => (await client.getVariant(campaign.name, { full: true }))?.id));
+}
+
+test("variants stay the same after login when the backend returns the carried over assignments", async () => {
+  const campaigns = [createCampaign(1, { layer: "checkout" }), createCampaign(2, { layer: "checkout" })];
+  // the backend echoes the assignments posted with the login, without their bucketing id
+  const getAppData = (requests) => {
+    const login = requests.find((request) => request.url.endsWith("/customers"));
+    const campaignAssignments = Object.fromEntries(
+      Object.entries(login?.body.campaignAssignments || {})
+        .map(([campaignId, { bucketingId, ...assignment }]) => [campaignId, assignment])
+    );
+    return { appConfig: {}, content: [], campaigns, campaignAssignments };
+  };
+  await forEachUser(getAppData, async (client, userId) => {
+    const before = await getVariantIds(client, campaigns);
+    await client.logInUser(userId);
+    assert.deepEqual(await getVariantIds(client, campaigns), before, userId);
+  });
+});
+
+test("campaigns first assigned after login give a user the same variant in every session", async () => {
+  const campaigns = [createCampaign(1), createCampaign(2, { rolloutPercent: 50 })];
+  const getAppData = () => ({ appConfig: {}, content: [], campaigns });
+  const seenVariants = new Set();
+  await forEachUser(getAppData, async (client, userId) => {
+    await client.logInUser(userId);
+    const variantIds = await getVariantIds(client, campaigns);
+    variantIds.forEach((variantId) => seenVariants.add(variantId));
+    // the same user on another device, with its own session
+    const { client: otherClient } = await createTestClient(getAppData);
+    await otherClient.logInUser(userId);
+    assert.deepEqual(await getVariantIds(otherClient, campaigns), variantIds, userId);
+    otherClient.destroy();
+  });
+  assert.deepEqual([...seenVariants].sort(), ["a", "control"]);
+});
+
+test("rebucket campaigns assign logged in users by user id", async () => {
+  const campaigns = [createCampaign(1, { loginBehavior: "rebucket" })];
+  let changed = 0;
+  await forEachUser(() => ({ appConfig: {}, content: [], campaigns }), async (client, userId) => {
+    const before = await getVariantIds(client, campaigns);
+    await client.logInUser(userId);
+    const after = await getVariantIds(client, campaigns);
+    changed += before[0] === after[0] ? 0 : 1;
+  });
+  assert.ok(changed > 0);
+});
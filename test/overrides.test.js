@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTestClient } from "./helpers.js";
+
+// variants without ids get their index as id, '0' and '1'
+const campaigns = [{
+  id: 1,
+  name: "pricing_test",
+  status: "running",
+  variants: [{ contentViewId: 1, weight: 50, isControl: true }, { contentViewId: 10, weight: 50 }],
+}];
+const getAppData = () => ({ appConfig: {}, content: [], campaigns });
+
+test("URL overrides match variant ids before content view ids", async () => {
+  const { client } = await createTestClient(getAppData);
+  client.setOverridesFromUrl("myapp://home?resync_override=pricing_test:1");
+  assert.equal(await client.getVariant("pricing_test"), 10);
+  client.setOverridesFromUrl("myapp://home?resync_override=pricing_test:10");
+  assert.equal(await client.getVariant("pricing_test"), 10);
+  client.destroy();
+});
+
+test("URL overrides that match no variant are ignored with a warning", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const { client } = await createTestClient(getAppData);
+  client.setOverridesFromUrl("myapp://home?resync_override=pricing_test:42");
+  const variant = await client.getVariant("pricing_test", { full: true });
+  assert.ok([1, 10].includes(variant.contentViewId));
+  assert.equal(warn.mock.calls.length, 1);
+  client.destroy();
+});
@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createElement } from "react";
+import TestRenderer from "react-test-renderer";
+import { ResyncProvider, useConfig, useResyncStatus, useVariant } from "../src/bindings/react.js";
+import { RETRY_CONFIG } from "../src/utils/constants.js";
+import { createCampaign, createTestClient } from "./helpers.js";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+const { act } = TestRenderer;
+
+test("useResyncStatus follows a reload that fails without changing data", async (t) => {
+  let respond = () => ({ appConfig: {}, content: [], campaigns: [] });
+  const { client } = await createTestClient(() => respond());
+  let status = null;
+  function StatusProbe() {
+    status = useResyncStatus();
+    return null;
+  }
+  let renderer;
+  await act(async () => {
+    renderer = TestRenderer.create(createElement(ResyncProvider, { client }, createElement(StatusProbe)));
+  });
+  assert.deepEqual(status, { ready: true, isLoading: false, loadFailed: false });
+
+  // the first request hangs until fail is called, the retries fail right away
+  let fail;
+  respond = () => {
+    respond = () => null;
+    return new Promise((resolve) => {
+      fail = () => resolve(null);
+    });
+  };
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  let reloaded;
+  await act(async () => {
+    reloaded = client.reload();
+  });
+  assert.deepEqual(status, { ready: true, isLoading: true, loadFailed: false });
+
+  await act(async () => {
+    fail();
+    for (let retry = 1; retry < RETRY_CONFIG.MAX_RETRIES; retry++) {
+      await new Promise((resolve) => setImmediate(resolve));
+      t.mock.timers.tick(RETRY_CONFIG.RETRY_DELAY);
+    }
+    await reloaded;
+  });
+  assert.deepEqual(status, { ready: true, isLoading: false, loadFailed: true });
+
+  act(() => renderer.unmount());
+  client.destroy();
+});
+
+test("useVariant follows a login that assigns another variant", async () => {
+  let serverAssignments = {};
+  const getAppData = () => ({
+    appConfig: {},
+    content: [],
+    campaigns: [createCampaign(1)],
+    campaignAssignments: serverAssignments,
+  });
+  const { client } = await createTestClient(getAppData);
+  let state = null;
+  function VariantProbe() {
+    state = useVariant("campaign_1", { full: true });
+    return null;
+  }
+  let renderer;
+  await act(async () => {
+    renderer = TestRenderer.create(createElement(ResyncProvider, { client }, createElement(VariantProbe)));
+  });
+  const anonymousVariant = state.variant;
+  assert.equal(state.isLoading, false);
+
+  // the backend already assigned the user the other variant, on another device
+  const userVariant = createCampaign(1).variants.find(({ id }) => id !== anonymousVariant.id);
+  serverAssignments = { 1: { campaignId: 1, variantId: userVariant.id, contentViewId: userVariant.contentViewId } };
+  await act(async () => {
+    await client.logInUser("user-1");
+  });
+  assert.equal(state.variant.id, userVariant.id);
+
+  act(() => renderer.unmount());
+  client.destroy();
+});
+
+test("useConfig returns a new default value right away", async () => {
+  const { client } = await createTestClient(() => ({ appConfig: { theme: "dark" }, content: [], campaigns: [] }));
+  const values = {};
+  function ConfigProbe({ defaultValue }) {
+    values.theme = useConfig("theme", defaultValue);
+    values.missing = useConfig("missing", defaultValue);
+    return null;
+  }
+  const render = (defaultValue) => createElement(ResyncProvider, { client }, createElement(ConfigProbe, { defaultValue }));
+  let renderer;
+  await act(async () => {
+    renderer = TestRenderer.create(render("light"));
+  });
+  assert.deepEqual(values, { theme: "dark", missing: "light" });
+
+  await act(async () => {
+    renderer.update(render("system"));
+  });
+  assert.deepEqual(values, { theme: "dark", missing: "system" });
+
+  act(() => renderer.unmount());
+  client.destroy();
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { STORAGE_CONFIG } from "../src/utils/constants.js";
+import { createMemoryStorage, createTestClient } from "./helpers.js";
+
+/**
+ * Creates an EventSource stand-in that records its instances.
+ * @returns {{EventSource: Function, sources: Object[]}} The EventSource class and its instances
+ */
+function createEventSource() {
+  const sources = [];
+  class EventSource {
+    constructor(url) {
+      this.url = url;
+      sources.push(this);
+    }
+
+    close() {}
+  }
+  return { EventSource, sources };
+}
+
+const getAppData = () => ({ appConfig: { THEME: "light" }, content: [], campaigns: [] });
+
+/**
+ * Waits for the pending promises and timers of the client to settle.
+ * @returns {Promise<void>}
+ */
+const settle = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+test("the stream sends a token instead of the API key when getToken is set", async () => {
+  const { EventSource, sources } = createEventSource();
+  const { client } = await createTestClient(getAppData, {
+    realtime: { type: "sse", EventSource, getToken: async () => "short-lived" },
+  });
+  await settle();
+  assert.equal(sources.length, 1);
+  assert.match(sources[0].url, /[?&]token=short-lived&/);
+  assert.doesNotMatch(sources[0].url, /apiKey/);
+  client.destroy();
+});
+
+test("realtime updates refresh the last fetch timestamp", async () => {
+  const { EventSource, sources } = createEventSource();
+  const storage = createMemoryStorage();
+  const { client } = await createTestClient(getAppData, { storage, realtime: { type: "sse", EventSource } });
+  await settle();
+  const readTimestamp = async () => JSON.parse(await storage.getItem(STORAGE_CONFIG.CACHE_KEY)).lastFetchTimestamp;
+  const loadedAt = await readTimestamp();
+
+  sources[0].onmessage({ data: JSON.stringify({ type: "config", data: { appConfig: { THEME: "dark" } } }) });
+  await settle();
+  assert.equal(client.getString("THEME", "light"), "dark");
+  assert.ok(new Date(await readTimestamp()) > new Date(loadedAt));
+  client.destroy();
+});
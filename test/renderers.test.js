@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { renderContentViewToString } from "../src/renderers/html.js";
+import { isSafeUrl } from "../src/renderers/shared.js";
+
+test("only http, https, mailto and tel links are safe to open", () => {
+  ["https://example.com/offer", "http://example.com", "mailto:help@example.com", "tel:+15550100"].forEach((url) => {
+    assert.equal(isSafeUrl(url), true, url);
+  });
+  ["javascript:alert(1)", " JavaScript:alert(1)", "data:text/html,<script>alert(1)</script>", "vbscript:msgbox(1)", "/offer"].forEach((url) => {
+    assert.equal(isSafeUrl(url), false, url);
+  });
+});
+
+/**
+ * Returns the CSS of rendered HTML, from its style attributes or its style element, with CSS strings emptied.
+ * @param {string} html - The rendered HTML
+ * @returns {string} The CSS
+ */
+function getCssOutsideStrings(html) {
+  const css = html.includes("<style>")
+    ? html.slice(html.indexOf("<style>") + 7, html.indexOf("</style>"))
+    : Array.from(html.matchAll(/style="([^"]*)"/g), ([, style]) => style.replace(/&quot;/g, '"')).join("\n");
+  return css.replace(/"(?:[^"\\]|\\.)*"/g, '""');
+}
+
+test("hostile style values can't inject CSS", () => {
+  const view = {
+    name: "Promo",
+    children: [{
+      type: "section",
+      itemId: 1,
+      data: {
+        styles: { gap: 8 },
+        customStyles: { color: "red; } body { display: none", "x} body {": "none", padding: "4px" },
+        backgroundImage: 'a.png"); } body { display: none } .b { background: url("',
+      },
+      children: [],
+    }],
+  };
+  ["inline", "class"].forEach((styleMode) => {
+    // the background image is kept in a CSS string, where it can't end the declaration
+    const css = getCssOutsideStrings(renderContentViewToString(view, { styleMode }));
+    assert.doesNotMatch(css, /body/, styleMode);
+    assert.match(css, /padding: 4px/, styleMode);
+    assert.match(css, /background-image: url\(""\)/, styleMode);
+    assert.equal(css.split("{").length, css.split("}").length, styleMode);
+  });
+});
+
+test("images with an unsafe URL get an empty source", () => {
+  const createImage = (itemId, imageUrl) => ({
+    type: "element",
+    elementType: "image",
+    itemId,
+    data: { properties: { imageUrl, imageAltText: "Offer" } },
+    children: [],
+  });
+  const view = {
+    name: "Promo",
+    children: [createImage(1, "https://example.com/offer.png"), createImage(2, "javascript:alert(1)")],
+  };
+  const sources = Array.from(renderContentViewToString(view).matchAll(/<img[^>]* src="([^"]*)"/g), ([, src]) => src);
+  assert.deepEqual(sources, ["https://example.com/offer.png", ""]);
+});
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CAMPAIGN_SCHEDULE_STATUS } from "../src/utils/constants.js";
+import { getScheduleStatus } from "../src/utils/schedule.js";
+
+test("date-only end dates include their last day", () => {
+  const dateSettings = { startDate: "2026-03-01", endDate: "2026-03-31" };
+  assert.equal(getScheduleStatus(dateSettings, Date.parse("2026-03-31T12:00:00Z")), CAMPAIGN_SCHEDULE_STATUS.ACTIVE);
+  assert.equal(getScheduleStatus(dateSettings, Date.parse("2026-03-31T23:59:59Z")), CAMPAIGN_SCHEDULE_STATUS.ACTIVE);
+  assert.equal(getScheduleStatus(dateSettings, Date.parse("2026-04-01T00:00:00Z")), CAMPAIGN_SCHEDULE_STATUS.ENDED);
+});
+
+test("date-only end dates end at midnight in the campaign time zone", () => {
+  const dateSettings = { endDate: "2026-03-31", timezone: "America/New_York" };
+  assert.equal(getScheduleStatus(dateSettings, Date.parse("2026-04-01T03:59:59Z")), CAMPAIGN_SCHEDULE_STATUS.ACTIVE);
+  assert.equal(getScheduleStatus(dateSettings, Date.parse("2026-04-01T04:00:00Z")), CAMPAIGN_SCHEDULE_STATUS.ENDED);
+});
+
+test("end dates with a time end at that time", () => {
+  const dateSettings = { endDate: "2026-03-31T18:00:00" };
+  assert.equal(getScheduleStatus(dateSettings, Date.parse("2026-03-31T18:00:00Z")), CAMPAIGN_SCHEDULE_STATUS.ENDED);
+});
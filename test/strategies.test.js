@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ERROR_MESSAGES } from "../src/utils/constants.js";
+import { createCampaign, createTestClient } from "./helpers.js";
+
+const campaigns = [
+  createCampaign(1, { abTestType: "premium-first" }),
+  createCampaign(2, { abTestType: "unknown-type" }),
+  createCampaign(3, { abTestType: "weighted-random" }),
+];
+const getAppData = () => ({ appConfig: {}, content: [], campaigns });
+
+test("registered strategies assign the variants of their abTestType", async () => {
+  const { client } = await createTestClient(getAppData);
+  const contexts = [];
+  client.registerAssignmentStrategy("premium-first", (campaign, context) => {
+    contexts.push(context);
+    return campaign.variants[0].contentViewId;
+  });
+  assert.equal(await client.getVariant("campaign_1"), 11);
+  assert.equal(await client.getVariant("campaign_1"), 11);
+  // the assignment is stored, so the strategy only runs once
+  assert.equal(contexts.length, 1);
+  assert.deepEqual(Object.keys(contexts[0]).sort(), ["attributes", "now", "sessionId", "userId"]);
+
+  const { id } = await client.getVariant("campaign_3", { full: true });
+  assert.ok(["a", "control"].includes(id));
+  client.destroy();
+});
+
+test("unknown types and system templates are rejected", async () => {
+  const { client } = await createTestClient(getAppData);
+  await assert.rejects(client.getVariant("campaign_2"), { message: ERROR_MESSAGES.UNKNOWN_SYSTEM_FUNCTION("unknown-type") });
+  assert.throws(
+    () => client.registerAssignmentStrategy("weighted-rollout", () => null),
+    { message: ERROR_MESSAGES.SYSTEM_STRATEGY_OVERRIDE("weighted-rollout") }
+  );
+  assert.throws(() => client.registerAssignmentStrategy("premium-first", "a"), { message: ERROR_MESSAGES.STRATEGY_MUST_BE_FUNCTION });
+  client.destroy();
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getCampaignVariants, weightedRolloutTemplate } from "../src/templates/AbSystemTemplate.js";
+import { createTestClient } from "./helpers.js";
+
+const pricingTest = {
+  id: 1,
+  name: "pricing_test",
+  status: "running",
+  variants: [
+    { id: "control", name: "Control", weight: 40, value: { price: 9.99 }, contentViewId: 120, default: true },
+    { id: "discount", name: "Discount", weight: 30, value: { price: 7.99 }, contentViewId: 121 },
+    { id: "annual", name: "Annual", weight: 20, value: { price: 99 }, contentViewId: 122 },
+    { id: "lifetime", name: "Lifetime", weight: 10, value: { price: 299 }, contentViewId: 123 },
+  ],
+};
+
+test("users are split between any number of variants by weight", () => {
+  const counts = {};
+  const users = 4000;
+  for (let i = 0; i < users; i++) {
+    const { id } = weightedRolloutTemplate(pricingTest, `user-${i}`);
+    counts[id] = (counts[id] || 0) + 1;
+  }
+  for (const { id, weight } of pricingTest.variants) {
+    const share = (counts[id] / users) * 100;
+    assert.ok(Math.abs(share - weight) < 3, `${id} got ${share}% instead of ${weight}%`);
+  }
+});
+
+test("getVariant returns the whole variant with its payload when full is set", async () => {
+  const { client } = await createTestClient(() => ({ appConfig: {}, content: [], campaigns: [pricingTest] }));
+  const variant = await client.getVariant("pricing_test", { full: true });
+  const expected = pricingTest.variants.find(({ id }) => id === variant.id);
+  assert.deepEqual(variant, expected);
+  assert.equal(await client.getVariant("pricing_test"), expected.contentViewId);
+  client.destroy();
+});
+
+test("campaigns with the legacy control and variant fields are read as variants", () => {
+  const variants = getCampaignVariants({
+    controlWeight: 50,
+    controlContentId: 10,
+    variantAWeight: 30,
+    variantAContentId: 11,
+    variantBWeight: 20,
+    variantBContentId: 12,
+  });
+  assert.deepEqual(
+    variants.map(({ id, weight, contentViewId, default: isDefault }) => [id, weight, contentViewId, !!isDefault]),
+    [["control", 50, 10, true], ["variantA", 30, 11, false], ["variantB", 20, 12, false]]
+  );
+});